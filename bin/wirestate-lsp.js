@@ -0,0 +1,39 @@
+#! /usr/bin/env node
+
+const WireState = require('../lib/index')
+
+const help = () => {
+  console.log(`Usage:
+wirestate-lsp [--stdio]
+
+Starts a language server for wirestate files that communicates over stdin and stdout
+with the Language Server Protocol. The project config found in the root of the workspace
+or above is used, without a config the root of the workspace is the srcDir.
+
+Features:
+diagnostics           Lexical, syntax and semantic errors and warnings of every open file
+definition            From transition targets to states, from @use directives and imports to machines
+references            Of states, machines and events
+hover                 The path of a state or the qualified ID of a machine
+completion            Directives, the machines of @use directives and the targets of transitions`
+  )
+}
+
+function main (args) {
+  if (args.some(arg => ['--help', '-h'].indexOf(arg) >= 0)) {
+    help()
+    process.exit(0)
+  }
+
+  // Editors commonly pass --stdio, which is the only transport
+  const server = WireState.startLanguageServer({
+    input: process.stdin,
+    output: process.stdout
+  })
+
+  server.exited.then(code => process.exit(code))
+}
+
+// Entry ---------
+
+main(process.argv.slice(2))
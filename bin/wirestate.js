@@ -1,7 +1,21 @@
 #! /usr/bin/env node
 
+const FS = require('fs')
+const Path = require('path')
 const WireState = require('../lib/index')
 
+// Exit codes for each kind of compilation error. When several errors are
+// reported the most severe exit code is used.
+const EXIT_CODES = [
+  [WireState.SemanticError, 10],
+  [WireState.SyntaxError, 15],
+  [WireState.LexicalError, 20]
+]
+const EXIT_CODE_UNKNOWN = 30
+
+// Formats compilation errors, replaced once the command line has been read
+let reporter = WireState.makeReporter()
+
 /**
  * Read a commandline option.
  *
@@ -11,7 +25,7 @@ const WireState = require('../lib/index')
  * const name = readOption([ '--name' ], args)
  * // Optional list option (i.e. program --flavor value --flavor value2)
  * const flavor = readOption([ '--flavor' ], args, { defaultValue: [] })
- * // Optional flag option (i.e. program --flag)
+ * // Optional flag option (i.e. program --flag or program --flag=false)
  * const flag = readOption([ '--flg' ], args, { defaultValue: false })
  * @param {string[]} names The valid option names on the command line
  * @param {string[]} args The command line arguments without the program and script name
@@ -24,7 +38,7 @@ function readOption (names, args, { defaultValue = undefined } = {}) {
   let argCount = 0
 
   names.forEach(name => {
-    const index = args.findIndex(arg => arg.startsWith(name))
+    const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`))
 
     if (index >= 0) {
       let value = args[index].indexOf('=') >= 0
@@ -32,7 +46,14 @@ function readOption (names, args, { defaultValue = undefined } = {}) {
         : args[index + 1]
 
       if (typeof defaultValue === 'boolean') {
-        value = true
+        // Flags can be turned off explicitly (i.e. --flag=false)
+        const text = args[index].indexOf('=') >= 0 ? value : 'true'
+
+        if (text !== 'true' && text !== 'false') {
+          throw new Error(`Option ${name} must be true or false`)
+        }
+
+        value = text === 'true'
       } else if (!value || value.startsWith('-')) {
         throw new Error(`Option ${name} must have a value`)
       }
@@ -64,85 +85,385 @@ function readOption (names, args, { defaultValue = undefined } = {}) {
   }
 }
 
-async function generate (inputFileName, { generatorName, srcDir, cache, disableCallbacks }) {
-  return WireState.compile(inputFileName, { generatorName, srcDir, cache, disableCallbacks })
+/**
+ * Read the positional arguments, the arguments that are neither an option nor
+ * the value of an option.
+ *
+ * @param {string[]} args The command line arguments without the program and script name
+ * @param {string[]} valueOptionNames The names of the options that are followed by a value
+ * @return {string[]}
+ */
+function readPositionals (args, valueOptionNames) {
+  return args.filter((arg, index) => {
+    return !arg.startsWith('-') && valueOptionNames.indexOf(args[index - 1]) < 0
+  })
+}
+
+/**
+ * Expands glob patterns to the files they match. Input files that aren't
+ * patterns are kept as is.
+ *
+ * @param {string[]} inputs
+ * @return {Promise<string[]>}
+ */
+async function expandInputs (inputs) {
+  let fileNames = []
+
+  for (const input of inputs) {
+    if (WireState.isGlob(input)) {
+      const matches = await WireState.glob(input)
+
+      if (matches.length === 0) {
+        throw new Error(`No input files match ${input}`)
+      }
+
+      fileNames = fileNames.concat(matches)
+    } else {
+      fileNames.push(input)
+    }
+  }
+
+  return fileNames.filter((fileName, index) => fileNames.indexOf(fileName) === index)
+}
+
+function writeStdout (text) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(text, 'utf8', (error) => {
+      error ? reject(error) : resolve()
+    })
+  })
+}
+
+/**
+ * Combines the errors of several compiles into one error. Errors of imported
+ * files shared by several input files are only included once.
+ *
+ * @param {Error[]} errors
+ * @return {Error}
+ */
+function combineErrors (errors) {
+  const allErrors = errors.reduce((allErrors, error) => {
+    return allErrors.concat(WireState.toErrorList(error))
+  }, [])
+
+  return WireState.combineErrors(
+    allErrors.filter((error, index) => allErrors.indexOf(error) === index)
+  )
+}
+
+/**
+ * Reads a flag option that overrides a field of the config. Resolves to
+ * undefined when the flag isn't on the command line so that the config is used.
+ *
+ * @param {string[]} names The valid option names on the command line
+ * @param {string[]} args The command line arguments without the program and script name
+ * @return {boolean}
+ */
+function readConfigFlag (names, args) {
+  const isSet = args.some(arg => names.some(name => arg === name || arg.startsWith(`${name}=`)))
+  return isSet ? readOption(names, args, { defaultValue: false }) : undefined
+}
+
+/**
+ * Determines the exit code of an error. Errors that aren't wirestate
+ * compilation errors (i.e. a native SyntaxError) have the unknown exit code.
+ *
+ * @param {Error} error
+ * @return {number}
+ */
+function exitCodeOf (error) {
+  const exitCode = EXIT_CODES.find(([ErrorClass]) => error instanceof ErrorClass)
+  return exitCode ? exitCode[1] : EXIT_CODE_UNKNOWN
+}
+
+function readFile (fileName) {
+  return new Promise((resolve, reject) => {
+    FS.readFile(fileName, 'utf8', (error, text) => {
+      error ? reject(error) : resolve(text)
+    })
+  })
 }
 
 const help = () => {
   console.log(`Usage:
-wirestate {input file} [--srcDir directory] [--cacheDir directory] [--generator name]
+wirestate [input file...] [--config file] [--srcDir directory] [--cacheDir directory] [--generator name] [--reporter name] [--out file] [--outDir directory] [--watch] [--strict]
+wirestate fmt [input file...] [--config file] [--reporter name] [--check]
+
+Compiles wirestate statecharts and writes the generated result to stdout or to files.
+Input files can be glob patterns (i.e. "statechart/**/*.wirestate"). Without input files
+the entries of the project config are compiled.
 
-Compiles a wirestate statechart and writes the generated result to stdout.
+The fmt command rewrites wirestate files in their canonical format instead. Without input
+files the entries of the project config are formatted.
+
+--config              The project config file [default wirestate.config.json or .wirestaterc in the current directory or above]
 
 --srcDir              The source directory where imported wirestate files can be found [default {current directory}]
 --cacheDir            The directory where the compiled files will be saved between compiles [default .wirestate]
 --generator           The name of the generator to use [default json]
 --disableCallbacks    Flag to disable callback mapping when using the XState generator
+--timestamp           Flag to stamp the date of the generation in the module when using the XState generator
+--collapseUses        Flag to draw machines embedded with @use as a single state when using the dot generator
+--machine             The ID of the machine to generate when using the scxml generator, required when the input file declares several machines unless --outDir is used
+--reporter            The name of the reporter used to print errors [default pretty]
+--out                 The file the generated result is written to, only allowed with a single input file
+--outDir              The directory the generated results are written to, one file per input file mirroring the srcDir layout
+--watch               Flag to recompile whenever the input files or any file they import change
+--strict              Flag to warn about transitions for events that are not declared with @event
+--check               Flag to list the files that are not formatted instead of formatting them, exits with 1 when there are any (fmt only)
+
+Flags can be turned off with =false (i.e. --disableCallbacks=false) to override the project config.
 
 Generators:
 json                  Generates the statechart in JSON format
 xstate                Generates an ESM module that exports the statechart as an xstate Interpreter factory (named export "wirestate")
+scxml                 Generates a W3C SCXML document for a machine of the input file (option "machine" selects the machine), with --outDir every machine is written to its own file (i.e. App.wirestate.Form.scxml)
+mermaid               Generates Markdown with a Mermaid state diagram for every machine
+dot                   Generates a Graphviz digraph for every machine (option "collapseUses" draws machines embedded with @use as a single state)
+typescript            Generates TypeScript declarations (.d.ts) for the module generated by the xstate generator
+
+Reporters:
+pretty                Prints file:line:column, the message and the offending source lines
+json                  Prints a JSON array of errors with name, message, fileName, line and column, located like the pretty reporter
+
+Exit codes:
+10                    Semantic errors
+15                    Syntax errors
+20                    Lexical errors
+30                    Any other error
+
+Project config:
+A JSON file with any of the following fields, options on the command line take precedence.
+Paths are relative to the directory of the config file.
+entries               The wirestate files, or glob patterns, to compile
+srcDir                Same as --srcDir
+cacheDir              Same as --cacheDir
+generator             Same as --generator
+generators            The options of each generator (i.e. { "xstate": { "disableCallbacks": true } })
+out                   Same as --out
+outDir                Same as --outDir
+actions               The names of the actions provided to the xstate factory, referenced actions that are not listed are reported as warnings
+strict                Same as --strict
 
 Example:
-wirestate statechart/App.wirestate --generator xstate --srcDir statechart > App.wirestate.js`
+wirestate statechart/App.wirestate --generator xstate --srcDir statechart > App.wirestate.js
+wirestate "statechart/**/*.wirestate" --generator xstate --srcDir statechart --outDir src/statechart
+wirestate
+wirestate fmt "statechart/**/*.wirestate" --check`
   )
 }
 
-function main () {
-  const args = process.argv.slice(2)
+/**
+ * Formats wirestate files in place, or only lists the files that are not
+ * formatted when checking.
+ *
+ * @param {string[]} args The command line arguments after the fmt command
+ * @return {Promise<void>}
+ */
+async function format (args) {
+  const inputs = readPositionals(args, ['--config', '--reporter'])
+  const configFile = readOption(['--config'], args, { defaultValue: null })
+  const reporterName = readOption(['--reporter'], args, { defaultValue: 'pretty' })
+  const check = readOption(['--check'], args, { defaultValue: false })
+
+  const projectConfig = await WireState.loadConfig(configFile)
+  const config = WireState.mergeConfig(projectConfig || WireState.makeConfig(), {
+    entries: inputs.length ? inputs : null
+  })
+
+  // Errors are located relative to the current directory, files outside of
+  // it by their base name. The reporter shows the text that was formatted.
+  const texts = new Map()
+  reporter = WireState.makeReporter({
+    reporterName,
+    readSource: wireStateFile => texts.has(wireStateFile) ? texts.get(wireStateFile) : null
+  })
+
+  if (config.entries.length === 0) {
+    help()
+    process.exit(20)
+  }
+
+  // Every file is formatted, even when an earlier one fails, so all errors
+  // are reported at once
+  const errors = []
+  const unformattedFileNames = []
+
+  for (const fileName of await expandInputs(config.entries)) {
+    try {
+      const text = await readFile(fileName)
+      const relativeFileName = Path.relative('', fileName)
+      const wireStateFile = relativeFileName.startsWith('..') ? Path.basename(fileName) : relativeFileName
+      texts.set(wireStateFile, text)
+      const formattedText = WireState.format(text, { wireStateFile })
+
+      if (formattedText !== text) {
+        unformattedFileNames.push(fileName)
+
+        if (!check) {
+          await WireState.writeFile(fileName, formattedText)
+        }
+      }
+    } catch (error) {
+      errors.push(error)
+    }
+  }
+
+  if (errors.length) {
+    throw combineErrors(errors)
+  }
+
+  if (check && unformattedFileNames.length) {
+    console.error(`Files not formatted:\n${unformattedFileNames.join('\n')}`)
+    process.exit(1)
+  }
+}
 
+async function main (args) {
   if (args.some(arg => [ '--help', '-h' ].indexOf(arg) >= 0)) {
     help()
     process.exit(0)
   }
 
-  const inputFileName = args.find(arg => !arg.startsWith('-'))
-  const srcDir = readOption([ '--srcDir' ], args, { defaultValue: '' })
+  if (args[0] === 'fmt') {
+    return format(args.slice(1))
+  }
+
+  const inputs = readPositionals(args, ['--config', '--srcDir', '--cacheDir', '--generator', '--machine', '--reporter', '--out', '--outDir'])
+  const configFile = readOption(['--config'], args, { defaultValue: null })
+  const srcDir = readOption([ '--srcDir' ], args, { defaultValue: null })
   const cacheDir = readOption([ '--cacheDir' ], args, { defaultValue: null })
-  const generatorName = readOption([ '--generator' ], args, { defaultValue: 'json' })
-  const disableCallbacks = readOption([ '--disableCallbacks' ], args, { defaultValue: false })
+  const generatorName = readOption([ '--generator' ], args, { defaultValue: null })
+  const disableCallbacks = readConfigFlag(['--disableCallbacks'], args)
+  const timestamp = readConfigFlag(['--timestamp'], args)
+  const collapseUses = readConfigFlag(['--collapseUses'], args)
+  const machine = readOption(['--machine'], args, { defaultValue: null })
+  const reporterName = readOption(['--reporter'], args, { defaultValue: 'pretty' })
+  const out = readOption(['--out'], args, { defaultValue: null })
+  const outDir = readOption(['--outDir'], args, { defaultValue: null })
+  const watchFiles = readOption(['--watch'], args, { defaultValue: false })
+  const strict = readConfigFlag(['--strict'], args)
+
+  reporter = WireState.makeReporter({ reporterName })
+
+  if (out !== null && outDir !== null) {
+    throw new Error('Options --out and --outDir cannot be used together')
+  }
+
+  // Options on the command line take precedence over the project config
+  const projectConfig = await WireState.loadConfig(configFile)
+  const config = WireState.mergeConfig(projectConfig || WireState.makeConfig(), {
+    entries: inputs.length ? inputs : null,
+    srcDir,
+    cacheDir,
+    generator: generatorName,
+    out,
+    outDir
+  })
+
+  if (out !== null) config.outDir = null
+  if (outDir !== null) config.out = null
+
+  reporter = WireState.makeReporter({ reporterName, srcDir: config.srcDir })
 
-  if (!inputFileName) {
+  if (config.entries.length === 0) {
     help()
     process.exit(20)
   }
 
-  const cache = cacheDir === null
-    ? new WireState.MemoryCache()
-    : new WireState.FileCache({ srcDir, cacheDir })
+  const inputFileNames = await expandInputs(config.entries)
 
-  return generate(inputFileName, { srcDir, generatorName, cache, disableCallbacks })
+  if (inputFileNames.length > 1 && config.outDir === null) {
+    throw new Error('Option --outDir is required when compiling more than one input file')
+  }
+
+  const { cache } = WireState.resolveCompileOptions({ config })
+  const compileOptions = {
+    config,
+    cache,
+    disableCallbacks,
+    timestamp,
+    collapseUses,
+    machine: machine === null ? undefined : machine,
+    strict,
+    // Warnings are reported but don't affect the exit code
+    onWarning: warning => console.error(reporter.report(warning))
+  }
+
+  const writeOutput = (output, inputFileName, machineId = undefined) => {
+    if (config.out !== null) {
+      return WireState.writeFile(config.out, output)
+    } else if (config.outDir !== null) {
+      const fileName = WireState.outputFileName(inputFileName, {
+        srcDir: config.srcDir,
+        outDir: config.outDir,
+        generatorName: config.generator,
+        machine: machineId
+      })
+      return WireState.writeFile(fileName, output)
+    } else {
+      return writeStdout(output)
+    }
+  }
+
+  if (watchFiles) {
+    WireState.watch(inputFileNames, Object.assign({}, compileOptions, {
+      onOutput: (output, inputFileName) => {
+        writeOutput(output, inputFileName).catch(error => console.error(error))
+      },
+      // Errors are reported but we keep watching so the next save can fix them
+      onError: error => console.error(reporter.report(error))
+    }))
+
+    // Never settles, the process runs until it is interrupted
+    return new Promise(() => {})
+  }
+
+  // Every input file is compiled, even when an earlier one fails, so all
+  // errors are reported at once. The cache is shared so imports are only
+  // loaded once.
+  const errors = []
+
+  for (const inputFileName of inputFileNames) {
+    try {
+      const scxmlOptions = config.generators.scxml || {}
+
+      if (config.generator === 'scxml' && machine === null && scxmlOptions.machine === undefined && config.outDir !== null) {
+        // An SCXML document holds a single machine, every machine of the input
+        // file is written to its own file
+        for (const machineId of await WireState.readMachineIds(inputFileName, compileOptions)) {
+          const output = await WireState.compile(inputFileName, Object.assign({}, compileOptions, { machine: machineId }))
+          await writeOutput(output, inputFileName, machineId)
+        }
+      } else {
+        const output = await WireState.compile(inputFileName, compileOptions)
+        await writeOutput(output, inputFileName)
+      }
+    } catch (error) {
+      errors.push(error)
+    }
+  }
+
+  if (errors.length) {
+    throw combineErrors(errors)
+  }
 }
 
 // Entry ---------
 
-main().then(output => {
-  return new Promise((resolve, reject) => {
-    process.stdout.write(output, 'utf8', (error) => {
-      error ? reject(error) : resolve()
-    })
-  })
-}).catch(error => {
-  if (error.name === 'SemanticError') {
-    console.error(
-      JSON.stringify(
-        error,
-        null,
-        2
-      )
-    )
-    process.exit(10)
-  } else if (error.name === 'LexicalError') {
-    console.error(
-      JSON.stringify(
-        error,
-        null,
-        2
-      )
-    )
-    process.exit(20)
-  } else {
+const args = process.argv.slice(2)
+
+main(args).catch(error => {
+  const errors = WireState.toErrorList(error)
+  const exitCode = errors.reduce((code, error) => {
+    return Math.max(code, exitCodeOf(error))
+  }, 0)
+
+  if (exitCode === EXIT_CODE_UNKNOWN) {
     console.error(error)
-    process.exit(30)
+  } else {
+    console.error(reporter.report(error))
   }
+
+  process.exit(exitCode)
 })
@@ -3,40 +3,405 @@ import * as Path from 'path'
 import { promisify } from 'util'
 import { makeTokenizer } from './tokenizer'
 import { makeParser } from './parser'
-import { SemanticError } from './errors'
+import { SemanticError, SemanticWarning, SyntaxError, LexicalError, ErrorList, combineErrors } from './errors'
 import {
   resolveStates,
+  resolveImport,
+  walk,
+  FIELD_TYPES,
   ScopeNode,
+  ActionDirectiveNode,
   // eslint-disable-next-line no-unused-vars
   ImportNode,
   // eslint-disable-next-line no-unused-vars
   MachineNode,
-  // eslint-disable-next-line no-unused-vars
   StateNode,
   // eslint-disable-next-line no-unused-vars
-  UseDirectiveNode
+  TransitionNode,
+  // eslint-disable-next-line no-unused-vars
+  UseDirectiveNode,
+  // eslint-disable-next-line no-unused-vars
+  ContextNode
 } from './ast-nodes'
 // eslint-disable-next-line no-unused-vars
 import { CacheBase } from './cache-base'
 import * as FileSystem from './file-system'
+import { isDuration, parseDuration, DURATION_UNITS } from './duration'
 
 const readFile = promisify(FS.readFile)
 
+/**
+ * An import on the way from the file being compiled to the file being
+ * analyzed.
+ *
+ * @typedef {Object} ImportLink
+ * @prop {string} fileName The importing file
+ * @prop {number} line
+ * @prop {number} column
+ * @prop {string} wireStateFile The imported file
+ */
+
+/**
+ * A use directive on the way from a machine to the machine being analyzed.
+ *
+ * @typedef {Object} UseLink
+ * @prop {string} fileName
+ * @prop {number} line
+ * @prop {number} column
+ * @prop {string} machineId The machine of the use directive
+ * @prop {string} usedMachineId The machine the use directive embeds
+ */
+
 /** @param {string} eventName */
 const normalizeEventName = eventName => {
   return eventName.split(',').map(e => e.trim()).sort().join(',')
 }
 
 /**
+ * Transitions for the same event are distinct as long as they're guarded by
+ * different conditions.
+ *
+ * @param {TransitionNode} transitionNode
+ */
+const transitionKey = transitionNode => {
+  const event = normalizeEventName(transitionNode.event)
+  return transitionNode.cond ? `${event} [${transitionNode.cond}]` : event
+}
+
+/**
+ * Reports delayed transitions whose duration doesn't have a valid unit. Delays
+ * that aren't durations are named delays provided at runtime.
+ *
+ * @param {TransitionNode[]} transitionNodes
+ * @param {Object} options
+ * @param {string} options.fileName
+ * @param {Error[]} options.diagnostics
+ */
+const analyzeDelays = (transitionNodes, { fileName, diagnostics }) => {
+  transitionNodes.forEach(transitionNode => {
+    const { delay } = transitionNode
+
+    if (delay && isDuration(delay) && parseDuration(delay) === null) {
+      report(diagnostics, new SemanticError(`Invalid duration\n  Duration: "${delay}"\n  Expected a number followed by one of the units: ${DURATION_UNITS.join(', ')}`, {
+        fileName,
+        line: transitionNode.line,
+        column: transitionNode.column
+      }))
+    }
+  })
+}
+
+/**
+ * Reports context fields that are declared more than once, that have an
+ * unknown type or whose default value doesn't match their type. Every field
+ * can default to null.
+ *
+ * @param {ContextNode} contextNode
+ * @param {Object} options
+ * @param {string} options.fileName
+ * @param {Error[]} options.diagnostics
+ */
+const analyzeContextNode = (contextNode, { fileName, diagnostics }) => {
+  if (!contextNode) return
+
+  contextNode.fields.forEach((field, index) => {
+    const location = { fileName, line: field.line, column: field.column }
+
+    if (contextNode.fields.findIndex(f => f.name === field.name) !== index) {
+      report(diagnostics, new SemanticError(`Duplicate context field\n  Field: "${field.name}"`, location))
+    } else if (!FIELD_TYPES.includes(field.type)) {
+      report(diagnostics, new SemanticError(`Unknown context field type\n  Field: "${field.name}"\n  Type: "${field.type}"\n  Expected one of the types: ${FIELD_TYPES.join(', ')}`, location))
+    } else if (field.value !== null && typeof field.value !== field.type) { // eslint-disable-line valid-typeof
+      report(diagnostics, new SemanticError(`Context field default does not match its type\n  Field: "${field.name}"\n  Type: "${field.type}"\n  Default: ${JSON.stringify(field.value)}`, location))
+    }
+  })
+}
+
+/**
+ * Reports events that are declared more than once in a file and event fields
+ * that are declared more than once or that have an unknown type.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object} options
+ * @param {Error[]} options.diagnostics
+ */
+const analyzeEventNodes = (scopeNode, { diagnostics }) => {
+  const fileName = scopeNode.wireStateFile
+
+  scopeNode.events.forEach((eventNode, index) => {
+    if (scopeNode.events.findIndex(n => n.name === eventNode.name) !== index) {
+      report(diagnostics, new SemanticError(`Duplicate event\n  Event: "${eventNode.name}"`, {
+        fileName,
+        line: eventNode.line,
+        column: eventNode.column
+      }))
+      return
+    }
+
+    eventNode.fields.forEach((field, fieldIndex) => {
+      const location = { fileName, line: field.line, column: field.column }
+
+      if (eventNode.fields.findIndex(f => f.name === field.name) !== fieldIndex) {
+        report(diagnostics, new SemanticError(`Duplicate event field\n  Event: "${eventNode.name}"\n  Field: "${field.name}"`, location))
+      } else if (!FIELD_TYPES.includes(field.type)) {
+        report(diagnostics, new SemanticError(`Unknown event field type\n  Event: "${eventNode.name}"\n  Field: "${field.name}"\n  Type: "${field.type}"\n  Expected one of the types: ${FIELD_TYPES.join(', ')}`, location))
+      }
+    })
+  })
+}
+
+/**
+ * Collects the names of the events declared in a file and the declared events
+ * the file imports.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object} options
+ * @param {CacheBase} options.cache
+ * @return {Promise<string[]>}
+ */
+const collectDeclaredEventNames = async (scopeNode, { cache }) => {
+  const importedEventNames = await Promise.all(
+    scopeNode.imports.map(async importNode => {
+      const importedScopeNode = await loadImportedScopeNode(importNode, { cache })
+
+      if (!importedScopeNode) return []
+
+      // Declared events are known by their alias when imported with one
+      return importNode.specifiers
+        .filter(s => importedScopeNode.events.some(n => n.name === s.name))
+        .map(s => s.alias || s.name)
+    })
+  )
+
+  return scopeNode.events.map(n => n.name).concat(...importedEventNames)
+}
+
+/**
+ * Resolves the file of an import as it's known in the cache. Files that start
+ * with ./ or ../ are relative to the importing file, other files are relative
+ * to the srcDir.
+ *
+ * @param {string} importedFile The file as it's written in the import
+ * @param {string} wireStateFile The importing file
+ * @return {string}
+ */
+export const resolveImportFile = (importedFile, wireStateFile) => {
+  const file = /^\.+[/\\]/.test(importedFile)
+    ? Path.join(Path.dirname(wireStateFile), importedFile)
+    : importedFile
+
+  // Ensure the file we're importing has an extension,
+  // by default it's the .wirestate extension
+  return Path.extname(file)
+    ? file
+    : `${file}.wirestate`
+}
+
+/**
+ * The imports that were reported as circular, their files are still being
+ * analyzed so waiting on them would never end.
+ *
+ * @type {WeakSet<ImportNode>}
+ */
+const circularImports = new WeakSet()
+
+/**
+ * The imports each file is waiting on, by cache. Files are loaded by several
+ * import chains at once and share the loads in the cache, so a file that
+ * waits on a file that waits on it through another chain would also wait
+ * forever.
+ *
+ * @type {WeakMap<CacheBase, Map<string, ImportLink[]>>}
+ */
+const pendingImports = new WeakMap()
+
+/**
+ * Finds the imports through which a file waits on another file.
+ *
+ * @param {Map<string, ImportLink[]>} pending The imports each file is waiting on
+ * @param {string} fromFile
+ * @param {string} toFile
+ * @param {Set<string>} [visited]
+ * @return {ImportLink[]} The imports from the first file to the other file or null
+ */
+const findPendingChain = (pending, fromFile, toFile, visited = new Set()) => {
+  visited.add(fromFile)
+
+  for (const link of pending.get(fromFile) || []) {
+    if (link.wireStateFile === toFile) return [link]
+    if (visited.has(link.wireStateFile)) continue
+
+    const chain = findPendingChain(pending, link.wireStateFile, toFile, visited)
+    if (chain) return [link].concat(chain)
+  }
+
+  return null
+}
+
+/**
+ * Loads the scope of an imported file. Resolves to null when the file failed
+ * to load or is imported circularly, both have already been reported.
+ *
+ * @param {ImportNode} importNode
+ * @param {Object} options
+ * @param {CacheBase} options.cache
+ * @return {Promise<ScopeNode>}
+ */
+const loadImportedScopeNode = async (importNode, { cache }) => {
+  if (circularImports.has(importNode)) return null
+  return Promise.resolve(cache.get(importNode.wireStateFile)).catch(() => null)
+}
+
+/**
+ * The names of the declarations a file exports, which are its machines and its
+ * declared events.
+ *
+ * @param {ScopeNode} scopeNode
+ * @return {string[]}
+ */
+const exportedNames = (scopeNode) => {
+  return scopeNode.machines.map(n => n.id).concat(scopeNode.events.map(n => n.name))
+}
+
+/**
+ * Reports imports whose local name is imported more than once or is already
+ * the name of a declaration in the file.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object} options
+ * @param {Error[]} options.diagnostics
+ */
+const analyzeImportNames = (scopeNode, { diagnostics }) => {
+  const localNames = exportedNames(scopeNode)
+
+  scopeNode.imports.forEach(importNode => {
+    importNode.specifiers.forEach(specifier => {
+      const localName = specifier.alias || specifier.name
+
+      if (localNames.includes(localName)) {
+        report(diagnostics, new SemanticError(`Duplicate import\n  Name: "${localName}"`, {
+          fileName: scopeNode.wireStateFile,
+          line: specifier.line,
+          column: specifier.column
+        }))
+      } else {
+        localNames.push(localName)
+      }
+    })
+  })
+}
+
+/**
+ * Reports machines that embed themselves, directly or through other machines
+ * of the file. Machines can only embed machines of another file by importing
+ * the file, so a longer cycle is also a circular import.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object} options
+ * @param {Error[]} options.diagnostics
+ */
+const analyzeUseCycles = (scopeNode, { diagnostics }) => {
+  const fileName = scopeNode.wireStateFile
+  /** @type {Set<MachineNode>} */
+  const visited = new Set()
+
+  /**
+   * @param {MachineNode} machineNode
+   * @param {UseLink[]} chain The use directives that lead to the machine
+   */
+  const visit = (machineNode, chain) => {
+    const k = chain.findIndex(link => link.machineId === machineNode.id)
+
+    if (k >= 0) {
+      const link = chain[chain.length - 1]
+      report(diagnostics, new SemanticError(`Circular use\n${formatChain(chain.slice(k), link => `${link.machineId} uses ${link.usedMachineId}`)}`, {
+        fileName,
+        line: link.line,
+        column: link.column
+      }))
+      return
+    }
+
+    if (visited.has(machineNode)) return
+    visited.add(machineNode)
+
+    walk(machineNode, node => {
+      if (node instanceof UseDirectiveNode) {
+        const usedMachineNode = scopeNode.machines.find(n => n.id === node.machineId)
+
+        if (usedMachineNode) {
+          visit(usedMachineNode, chain.concat({
+            fileName,
+            line: node.line,
+            column: node.column,
+            machineId: machineNode.id,
+            usedMachineId: usedMachineNode.id
+          }))
+        }
+      }
+    })
+  }
+
+  scopeNode.machines.forEach(machineNode => visit(machineNode, []))
+}
+
+/**
+ * Formats the links of a circular chain one per line, each prefixed with the
+ * location of the link.
+ *
+ * @param {Array<ImportLink|UseLink>} chain
+ * @param {(link: any) => string} describe
+ * @return {string}
+ */
+const formatChain = (chain, describe) => {
+  // Columns are 1-based like the locations printed by the reporters
+  return chain.map(link => `  ${link.fileName}:${link.line}:${link.column + 1} ${describe(link)}`).join('\n')
+}
+
+/**
+ * Records an error in a diagnostics list. Error lists are flattened and errors
+ * that have already been recorded (i.e. errors from a file that is imported
+ * more than once) are skipped.
+ *
+ * @param {Error[]} diagnostics
+ * @param {Error} error
+ */
+const report = (diagnostics, error) => {
+  const errors = error instanceof ErrorList ? error.errors : [error]
+  errors.forEach(error => {
+    if (!diagnostics.includes(error)) {
+      diagnostics.push(error)
+    }
+  })
+}
+
+/**
+ * Analyzes a ScopeNode. All semantic errors found in the scope and its imports
+ * are collected and rejected together. A single error is rejected as-is,
+ * several errors are rejected as an ErrorList.
+ *
+ * Warnings don't fail the analysis, they're passed to onWarning instead.
+ *
  * @param {ScopeNode} scopeNode
  * @param {Object} options
  * @param {CacheBase} options.cache
  * @param {string} [options.srcDir] The directory to search for wirestate files
+ * @param {string[]} [options.actions] The names of the provided action implementations, actions are not checked when null
+ * @param {boolean} [options.strict] Flag to warn about transitions for events that are not declared
+ * @param {(warning: SemanticWarning) => any} [options.onWarning]
+ * @param {ImportLink[]} [options.importChain] The imports that lead to the scope, used to detect circular imports
  * @return {Promise<ScopeNode>}
  */
-function analyze (scopeNode, { cache, srcDir = '' }) {
+async function analyze (scopeNode, { cache, srcDir = '', actions = null, strict = false, onWarning = () => {}, importChain = [] }) {
   if (scopeNode instanceof ScopeNode) {
-    return analyzeScopeNode(scopeNode.clone(), { cache, srcDir })
+    const diagnostics = []
+    const analyzedScopeNode = await analyzeScopeNode(scopeNode.clone(), { cache, srcDir, diagnostics, actions, strict, onWarning, importChain })
+
+    if (diagnostics.length) {
+      throw combineErrors(diagnostics)
+    }
+
+    return analyzedScopeNode
   } else {
     throw new Error('Can only analyzie ScopeNode instances')
   }
@@ -47,9 +412,13 @@ function analyze (scopeNode, { cache, srcDir = '' }) {
  * @param {Object} options
  * @param {CacheBase} options.cache
  * @param {string} [options.srcDir]
+ * @param {string[]} [options.actions] The names of the provided action implementations
+ * @param {boolean} [options.strict]
+ * @param {(warning: SemanticWarning) => any} [options.onWarning]
+ * @param {ImportLink[]} [options.importChain] The imports that lead to the file
  * @return {Promise<ScopeNode>}
  */
-export async function requireWireStateFile (wireStateFile, { cache, srcDir = '' }) {
+export async function requireWireStateFile (wireStateFile, { cache, srcDir = '', actions = null, strict = false, onWarning = () => {}, importChain = [] }) {
   if (wireStateFile.startsWith('.')) {
     throw new Error('WireState file cannot start with ./ or ../')
   }
@@ -69,15 +438,17 @@ export async function requireWireStateFile (wireStateFile, { cache, srcDir = ''
     return cache.get(wireStateFile)
   }
 
-  const promise = new Promise((resolve, reject) => {
-    readFile(fileName, 'utf8').then(text => {
-      const tokenizer = makeTokenizer({ wireStateFile })
-      const parser = makeParser({ wireStateFile })
-      const tokens = tokenizer.tokenize(text)
-      const scopeNode = parser.parse(tokens)
+  const promise = readFile(fileName, 'utf8').then(text => {
+    const tokenizer = makeTokenizer({ wireStateFile })
+    const parser = makeParser({ wireStateFile, recover: true })
+    const tokens = tokenizer.tokenize(text)
+    const scopeNode = parser.parse(tokens)
+
+    if (parser.errors.length) {
+      throw combineErrors(parser.errors)
+    }
 
-      resolve(analyze(scopeNode, { cache, srcDir }))
-    }, reject)
+    return analyze(scopeNode, { cache, srcDir, actions, strict, onWarning, importChain })
   })
 
   await cache.set(wireStateFile, promise)
@@ -90,8 +461,13 @@ export async function requireWireStateFile (wireStateFile, { cache, srcDir = ''
  * @param {Object} options
  * @param {CacheBase} options.cache
  * @param {string} [options.srcDir]
+ * @param {Error[]} options.diagnostics
+ * @param {string[]} options.actions
+ * @param {boolean} options.strict
+ * @param {(warning: SemanticWarning) => any} options.onWarning
+ * @param {ImportLink[]} options.importChain
  */
-async function analyzeScopeNode (scopeNode, { cache, srcDir = '' }) {
+async function analyzeScopeNode (scopeNode, { cache, srcDir = '', diagnostics, actions, strict, onWarning, importChain }) {
   // Ensure that we have unique machine IDs
   const machineIds = scopeNode.machines.map(machineNode => machineNode.id)
   const uniqueMachineIds = new Set(machineIds)
@@ -101,28 +477,67 @@ async function analyzeScopeNode (scopeNode, { cache, srcDir = '' }) {
 
     if (k !== l) {
       const machineNode = scopeNode.machines.find(n => n.id === machineId)
-      throw new SemanticError(`Duplicate machine\n  Machine ID: "${machineId}"`, {
+      report(diagnostics, new SemanticError(`Duplicate machine\n  Machine ID: "${machineId}"`, {
         fileName: scopeNode.wireStateFile,
         line: machineNode.line,
         column: machineNode.column
-      })
+      }))
     }
   }
 
+  // Ensure that we have unique events with known field types
+  analyzeEventNodes(scopeNode, { diagnostics })
+
+  // Ensure that imported names don't clash with each other or our own names
+  analyzeImportNames(scopeNode, { diagnostics })
+
   // Analyze the import nodes
   await Promise.all(
     scopeNode.imports.map(async (node) => {
-      return analyzeImportNode(node, { cache, srcDir })
+      return analyzeImportNode(node, { cache, srcDir, diagnostics, actions, strict, onWarning, importChain })
     })
   )
 
   // Analyze the machine nodes
   scopeNode._machines = await Promise.all(
     scopeNode.machines.map(machineNode => {
-      return analyzeMachineNode(machineNode, { cache })
+      return analyzeMachineNode(machineNode, { cache, diagnostics })
     })
   )
 
+  // Ensure that machines don't embed themselves
+  analyzeUseCycles(scopeNode, { diagnostics })
+
+  // Warn about actions that are referenced but not provided
+  if (actions) {
+    walk(scopeNode, node => {
+      if (node instanceof ActionDirectiveNode || node instanceof TransitionNode) {
+        node.actions.filter(action => !actions.includes(action)).forEach(action => {
+          onWarning(new SemanticWarning(`Action not provided\n  Action: "${action}"`, {
+            fileName: scopeNode.wireStateFile,
+            line: node.line,
+            column: node.column
+          }))
+        })
+      }
+    })
+  }
+
+  // Warn about transitions for events that aren't declared
+  if (strict) {
+    const eventNames = await collectDeclaredEventNames(scopeNode, { cache })
+
+    walk(scopeNode, node => {
+      if (node instanceof TransitionNode && !node.delay && node.event !== '*' && !eventNames.includes(node.event)) {
+        onWarning(new SemanticWarning(`Event not declared\n  Event: "${node.event}"`, {
+          fileName: scopeNode.wireStateFile,
+          line: node.line,
+          column: node.column
+        }))
+      }
+    })
+  }
+
   return scopeNode
 }
 
@@ -131,30 +546,96 @@ async function analyzeScopeNode (scopeNode, { cache, srcDir = '' }) {
  * @param {Object} options
  * @param {CacheBase} options.cache
  * @param {string} [options.srcDir]
+ * @param {Error[]} options.diagnostics
+ * @param {string[]} options.actions
+ * @param {boolean} options.strict
+ * @param {(warning: SemanticWarning) => any} options.onWarning
+ * @param {ImportLink[]} options.importChain
  */
-async function analyzeImportNode (importNode, { cache, srcDir = '' }) {
+async function analyzeImportNode (importNode, { cache, srcDir = '', diagnostics, actions, strict, onWarning, importChain }) {
   if (Path.isAbsolute(importNode.wireStateFile)) {
-    throw new SemanticError('Import file cannot be absolute', {
+    report(diagnostics, new SemanticError('Import file cannot be absolute', {
       fileName: importNode.parent.wireStateFile,
       line: importNode.line,
       column: importNode.column
-    })
+    }))
+    return importNode
   }
 
-  let file = /^\.+[/\\]/.test(importNode.wireStateFile)
-    ? Path.join(Path.dirname(importNode.parent.wireStateFile), importNode.wireStateFile)
-    : importNode.wireStateFile
-
-  // Ensure the file we're importing has an extension,
-  // by default it's the .wirestate extension
-  file = Path.extname(file)
-    ? file
-    : `${file}.wirestate`
+  const file = resolveImportFile(importNode.wireStateFile, importNode.parent.wireStateFile)
 
   importNode._wireStateFile = file
 
+  // Importing a file that is still being analyzed further up the chain would
+  // wait on itself forever
+  const link = {
+    fileName: importNode.parent.wireStateFile,
+    line: importNode.line,
+    column: importNode.column,
+    wireStateFile: file
+  }
+  const chain = importChain.concat(link)
+  const k = chain.findIndex(link => link.fileName === file)
+
+  if (!pendingImports.has(cache)) pendingImports.set(cache, new Map())
+
+  const pending = pendingImports.get(cache)
+  const pendingChain = k >= 0 ? null : findPendingChain(pending, file, link.fileName)
+
+  if (k >= 0 || pendingChain) {
+    const circularChain = k >= 0 ? chain.slice(k) : pendingChain.concat(link)
+
+    circularImports.add(importNode)
+    report(diagnostics, new SemanticError(`Circular import\n${formatChain(circularChain, link => `imports ${link.wireStateFile}`)}`, {
+      fileName: link.fileName,
+      line: link.line,
+      column: link.column
+    }))
+    return importNode
+  }
+
+  // The file waits on the import until it's loaded
+  pending.set(link.fileName, (pending.get(link.fileName) || []).concat(link))
+
   // Safe to let this load in the background since the promise is cached in the cache
-  await requireWireStateFile(file, { cache, srcDir })
+  try {
+    const importedScopeNode = await requireWireStateFile(file, { cache, srcDir, actions, strict, onWarning, importChain: chain })
+    const names = exportedNames(importedScopeNode)
+
+    importNode.specifiers.filter(s => !names.includes(s.name)).forEach(specifier => {
+      report(diagnostics, new SemanticError(`Import not exported, only machines and declared events can be imported\n  Name: "${specifier.name}"\n  File: ${file}`, {
+        fileName: importNode.parent.wireStateFile,
+        line: specifier.line,
+        column: specifier.column
+      }))
+    })
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      report(diagnostics, new SemanticError(`Import file not found\n  File: ${file}`, {
+        fileName: importNode.parent.wireStateFile,
+        line: importNode.line,
+        column: importNode.column
+      }))
+    } else if (
+      error instanceof ErrorList ||
+      error instanceof SemanticError ||
+      error instanceof SyntaxError ||
+      error instanceof LexicalError
+    ) {
+      // Errors from the imported file are reported alongside our own
+      report(diagnostics, error)
+    } else {
+      throw error
+    }
+  } finally {
+    const links = pending.get(link.fileName).filter(l => l !== link)
+
+    if (links.length) {
+      pending.set(link.fileName, links)
+    } else {
+      pending.delete(link.fileName)
+    }
+  }
 
   return importNode
 }
@@ -163,9 +644,10 @@ async function analyzeImportNode (importNode, { cache, srcDir = '' }) {
  * @param {MachineNode} machineNode
  * @param {Object} options
  * @param {CacheBase} options.cache
+ * @param {Error[]} options.diagnostics
  * @return {Promise<MachineNode>}
  */
-async function analyzeMachineNode (machineNode, { cache }) {
+async function analyzeMachineNode (machineNode, { cache, diagnostics }) {
   // Ensure that we have unique state IDs across the entire machine
   const visitStateNode = (stateNodes, stateNode) => {
     stateNodes.push(stateNode)
@@ -180,17 +662,17 @@ async function analyzeMachineNode (machineNode, { cache }) {
 
     if (k !== l) {
       const stateNode = stateNodes.find(n => n.id === stateId)
-      throw new SemanticError(`Duplicate state\n  State ID: "${stateId}"`, {
+      report(diagnostics, new SemanticError(`Duplicate state\n  State ID: "${stateId}"`, {
         fileName: stateNode.scopeNode.wireStateFile,
         line: stateNode.line,
         column: stateNode.column
-      })
+      }))
     }
   }
 
   // Ensure that we have unique transitions
   const transitionEvents = machineNode.transitions.map(transitionNode => {
-    return normalizeEventName(transitionNode.event)
+    return transitionKey(transitionNode)
   })
   const uniqueTransitionEvents = new Set(transitionEvents)
   for (const event of uniqueTransitionEvents) {
@@ -199,13 +681,13 @@ async function analyzeMachineNode (machineNode, { cache }) {
 
     if (k !== l) {
       const transitionNode = machineNode.transitions.find(n => {
-        return normalizeEventName(n.event) === event
+        return transitionKey(n) === event
       })
-      throw new SemanticError(`Duplicate transition\n  Transition Event: "${transitionNode.event}"`, {
+      report(diagnostics, new SemanticError(`Duplicate transition\n  Transition Event: "${transitionNode.event}"${transitionNode.cond ? `\n  Transition Guard: "${transitionNode.cond}"` : ''}`, {
         fileName: machineNode.parent.wireStateFile,
         line: transitionNode.line,
         column: transitionNode.column
-      })
+      }))
     }
   }
 
@@ -216,33 +698,41 @@ async function analyzeMachineNode (machineNode, { cache }) {
         resolveStates(transitionNode)
       }
     } catch (error) {
-      throw new SemanticError(`Transition target cannot be resolved\n  Transition Target: ${error.transitionTarget}`, {
+      report(diagnostics, new SemanticError(`Transition target cannot be resolved\n  Transition Target: ${error.transitionTarget}`, {
         fileName: machineNode.parent.wireStateFile,
         line: transitionNode.line,
         column: transitionNode.column
-      })
+      }))
     }
   })
 
+  // Ensure delayed transitions have valid durations
+  analyzeDelays(machineNode.transitions, { fileName: machineNode.parent.wireStateFile, diagnostics })
+
+  // Ensure the context fields have known types and valid defaults
+  analyzeContextNode(machineNode.context, { fileName: machineNode.parent.wireStateFile, diagnostics })
+
   // Verify there is only one initial child state
   if (machineNode.states.filter(n => n.initial).length > 1) {
     const s = machineNode.states.filter(n => n.initial)[1]
-    throw new SemanticError(`Only one child state can be marked as initial\n  Machine ID: "${machineNode.id}"`, {
+    report(diagnostics, new SemanticError(`Only one child state can be marked as initial\n  Machine ID: "${machineNode.id}"`, {
       fileName: machineNode.parent.wireStateFile,
       line: s.line,
       column: s.column
-    })
+    }))
   }
 
-  // If no child state is set to be initial then, set first child state to be initial
-  if (machineNode.states.length && !machineNode.states.some(n => n.initial)) {
-    machineNode.states[0].initial = true
+  // If no child state is set to be initial then, set first child state to be
+  // initial (history states are never initial)
+  if (!machineNode.states.some(n => n.initial)) {
+    const initialStateNode = machineNode.states.find(n => n.stateType !== 'history')
+    if (initialStateNode) initialStateNode.initial = true
   }
 
   // Analyze state nodes
   machineNode._states = await Promise.all(
     machineNode.states.map(stateNode => {
-      return analyzeStateNode(stateNode, { cache })
+      return analyzeStateNode(stateNode, { cache, diagnostics })
     })
   )
 
@@ -253,16 +743,44 @@ async function analyzeMachineNode (machineNode, { cache }) {
  * @param {StateNode} stateNode
  * @param {Object} options
  * @param {CacheBase} options.cache
+ * @param {Error[]} options.diagnostics
  * @return {Promise<StateNode>}
  */
-async function analyzeStateNode (stateNode, { cache }) {
+async function analyzeStateNode (stateNode, { cache, diagnostics }) {
   // Transient states cannot have child states
   if (stateNode.stateType === 'transient' && stateNode.states.length > 0) {
-    throw new SemanticError(`Transient states cannot have child states\n  State ID: ${stateNode.id}"`, {
+    report(diagnostics, new SemanticError(`Transient states cannot have child states\n  State ID: ${stateNode.id}"`, {
       fileName: stateNode.scopeNode.wireStateFile,
       line: stateNode.states[0].line,
       column: stateNode.states[0].column
-    })
+    }))
+  }
+
+  // History states are leaf children of compound states
+  if (stateNode.stateType === 'history') {
+    if (stateNode.states.length > 0) {
+      report(diagnostics, new SemanticError(`History states cannot have child states\n  State ID: "${stateNode.id}"`, {
+        fileName: stateNode.scopeNode.wireStateFile,
+        line: stateNode.states[0].line,
+        column: stateNode.states[0].column
+      }))
+    }
+
+    if (stateNode.transitions.length > 0) {
+      report(diagnostics, new SemanticError(`History states cannot have transitions\n  State ID: "${stateNode.id}"`, {
+        fileName: stateNode.scopeNode.wireStateFile,
+        line: stateNode.transitions[0].line,
+        column: stateNode.transitions[0].column
+      }))
+    }
+
+    if (stateNode.parent instanceof StateNode && stateNode.parent.parallel) {
+      report(diagnostics, new SemanticError(`History states must be children of compound states\n  State ID: "${stateNode.id}"`, {
+        fileName: stateNode.scopeNode.wireStateFile,
+        line: stateNode.line,
+        column: stateNode.column
+      }))
+    }
   }
 
   // For atomic states that have child states, set their stateType to "compound"
@@ -272,7 +790,7 @@ async function analyzeStateNode (stateNode, { cache }) {
 
   // Ensure that we have unique transitions
   const transitionEvents = stateNode.transitions.map(transitionNode => {
-    return normalizeEventName(transitionNode.event)
+    return transitionKey(transitionNode)
   })
   const uniqueTransitionEvents = new Set(transitionEvents)
   for (const event of uniqueTransitionEvents) {
@@ -281,13 +799,13 @@ async function analyzeStateNode (stateNode, { cache }) {
 
     if (k !== l) {
       const transitionNode = stateNode.transitions.find(n => {
-        return normalizeEventName(n.event) === event
+        return transitionKey(n) === event
       })
-      throw new SemanticError(`Duplicate transition\n  Transition Event: "${transitionNode.event}"`, {
+      report(diagnostics, new SemanticError(`Duplicate transition\n  Transition Event: "${transitionNode.event}"${transitionNode.cond ? `\n  Transition Guard: "${transitionNode.cond}"` : ''}`, {
         fileName: stateNode.scopeNode.wireStateFile,
         line: transitionNode.line,
         column: transitionNode.column
-      })
+      }))
     }
   }
 
@@ -298,38 +816,43 @@ async function analyzeStateNode (stateNode, { cache }) {
         resolveStates(transitionNode)
       }
     } catch (error) {
-      throw new SemanticError(`Transition target cannot be resolved\n  Transition Target: ${error.transitionTarget}`, {
+      report(diagnostics, new SemanticError(`Transition target cannot be resolved\n  Transition Target: ${error.transitionTarget}`, {
         fileName: stateNode.scopeNode.wireStateFile,
         line: transitionNode.line,
         column: transitionNode.column
-      })
+      }))
     }
   })
 
+  // Ensure delayed transitions have valid durations
+  analyzeDelays(stateNode.transitions, { fileName: stateNode.scopeNode.wireStateFile, diagnostics })
+
   // Verify there is only one initial child state
   if (stateNode.states.filter(n => n.initial).length > 1) {
     const s = stateNode.states.filter(n => n.initial)[1]
-    throw new SemanticError(`Only one child state can be marked as initial\n  State ID: "${stateNode.id}"`, {
+    report(diagnostics, new SemanticError(`Only one child state can be marked as initial\n  State ID: "${stateNode.id}"`, {
       fileName: stateNode.scopeNode.wireStateFile,
       line: s.line,
       column: s.column
-    })
+    }))
   }
 
-  // If no child state is set to be initial then, set first child state to be initial
-  if (stateNode.states.length && !stateNode.states.some(n => n.initial)) {
-    stateNode.states[0].initial = true
+  // If no child state is set to be initial then, set first child state to be
+  // initial (history states are never initial)
+  if (!stateNode.states.some(n => n.initial)) {
+    const initialStateNode = stateNode.states.find(n => n.stateType !== 'history')
+    if (initialStateNode) initialStateNode.initial = true
   }
 
   // Analyze state nodes
   stateNode._states = await Promise.all(
     stateNode.states.map(stateNode => {
-      return analyzeStateNode(stateNode, { cache })
+      return analyzeStateNode(stateNode, { cache, diagnostics })
     })
   )
 
   // Analyze @use directive
-  stateNode.useDirective = await analyzeUseDirectiveNode(stateNode.useDirective, { cache })
+  stateNode.useDirective = await analyzeUseDirectiveNode(stateNode.useDirective, { cache, diagnostics })
 
   return stateNode
 }
@@ -338,9 +861,10 @@ async function analyzeStateNode (stateNode, { cache }) {
  * @param {UseDirectiveNode} useDirectiveNode
  * @param {Object} options
  * @param {CacheBase} options.cache
+ * @param {Error[]} options.diagnostics
  * @return {Promise<UseDirectiveNode>}
  */
-async function analyzeUseDirectiveNode (useDirectiveNode, { cache }) {
+async function analyzeUseDirectiveNode (useDirectiveNode, { cache, diagnostics }) {
   if (useDirectiveNode) {
     // Attempt to find the used machine in the current scope
     const machineId = useDirectiveNode.machineId
@@ -349,25 +873,46 @@ async function analyzeUseDirectiveNode (useDirectiveNode, { cache }) {
       return machineNode.id === machineId
     })
 
-    // Otherwise attempt to find the used machine from imports
+    // Otherwise attempt to find the used machine from imports, by its alias
+    // when imported with one. Imports that failed to load or that import a
+    // name the file doesn't export have already been reported so they are
+    // skipped here.
+    let hasFailedImports = false
     if (!machineNode) {
+      const resolved = resolveImport(scopeNode, machineId)
       const importedScopeNodes = await Promise.all(
-        scopeNode.imports.map(importNode => cache.get(importNode.wireStateFile))
+        scopeNode.imports.map(importNode => {
+          return loadImportedScopeNode(importNode, { cache })
+        })
       )
-      importedScopeNodes.some(scopeNode => {
-        machineNode = scopeNode.machines.find(machineNode => {
-          return machineNode.id === machineId
+
+      if (resolved) {
+        const importedScopeNode = importedScopeNodes[scopeNode.imports.indexOf(resolved.importNode)]
+
+        hasFailedImports = !importedScopeNode || !exportedNames(importedScopeNode).includes(resolved.name)
+        machineNode = importedScopeNode && importedScopeNode.machines.find(machineNode => {
+          return machineNode.id === resolved.name
         })
-        return !!machineNode
-      })
+      } else {
+        hasFailedImports = importedScopeNodes.some(scopeNode => !scopeNode)
+      }
     }
 
-    if (!machineNode) {
-      throw new SemanticError(`Machine not found\n  Machine ID: ${useDirectiveNode.machineId}`, {
+    // Generators embed the machine the directive resolves to, not any machine
+    // with the same ID
+    if (machineNode) {
+      useDirectiveNode.binding = {
+        wireStateFile: machineNode.parent.wireStateFile,
+        machineId: machineNode.id
+      }
+    }
+
+    if (!machineNode && !hasFailedImports) {
+      report(diagnostics, new SemanticError(`Machine not found\n  Machine ID: ${useDirectiveNode.machineId}`, {
         fileName: scopeNode.wireStateFile,
         line: useDirectiveNode.line,
         column: useDirectiveNode.column
-      })
+      }))
     }
 
     return useDirectiveNode
@@ -380,12 +925,15 @@ async function analyzeUseDirectiveNode (useDirectiveNode, { cache }) {
  * @param {Object} options
  * @param {CacheBase} options.cache
  * @param {string} [options.srcDir]
+ * @param {string[]} [options.actions] The names of the provided action implementations, when set a warning is reported for every action that is referenced but not provided
+ * @param {boolean} [options.strict] Flag to report a warning for every transition whose event is not declared
+ * @param {(warning: SemanticWarning) => any} [options.onWarning]
  */
-export const makeAnalyzer = ({ cache, srcDir = '' }) => {
+export const makeAnalyzer = ({ cache, srcDir = '', actions = null, strict = false, onWarning = () => {} }) => {
   return {
     /** @param {ScopeNode} scopeNode */
     analyze (scopeNode) {
-      return analyze(scopeNode, { cache, srcDir })
+      return analyze(scopeNode, { cache, srcDir, actions, strict, onWarning })
     }
   }
 }
@@ -1,8 +1,10 @@
 import * as Assert from 'assert'
 import { makeTokenizer } from './tokenizer'
 import { makeParser } from './parser'
-import { makeAnalyzer } from './analyzer'
+import { makeAnalyzer, requireWireStateFile } from './analyzer'
 import { MemoryCache } from './memory-cache'
+import { SemanticError, SemanticWarning, ErrorList } from './errors'
+import { ScopeNode } from './ast-nodes'
 
 describe('an analyzer', function () {
   const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
@@ -74,4 +76,389 @@ describe('an analyzer', function () {
 
     Assert.doesNotReject(analyzer.analyze(scopeNode)).catch(_ => {})
   })
+
+  it('should not throw if transitions for the same event have different guards', async function () {
+    const sourceText = `
+@machine App
+  Home
+    submit [isValid] -> About
+    submit -> Home
+  About
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.doesNotReject(analyzer.analyze(scopeNode))
+  })
+
+  it('should throw if transitions for the same event have the same guard', async function () {
+    const sourceText = `
+@machine App
+  Home
+    submit [isValid] -> About
+    submit [isValid] -> Home
+  About
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), /Duplicate transition\n {2}Transition Event: "submit"\n {2}Transition Guard: "isValid"/)
+  })
+
+  it('should warn about actions that are not provided', async function () {
+    const sourceText = `
+@machine App
+  Home
+    @entry focus, track
+    submit -> About / save
+  About
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+    const warnings = []
+    const analyzer = makeAnalyzer({
+      cache: new MemoryCache(),
+      actions: ['focus'],
+      onWarning: warning => warnings.push(warning)
+    })
+
+    await analyzer.analyze(scopeNode)
+
+    Assert.ok(warnings.every(warning => warning instanceof SemanticWarning))
+    Assert.deepStrictEqual(warnings.map(w => [w.message, w.line, w.column]), [
+      ['Action not provided\n  Action: "track"', 4, 4],
+      ['Action not provided\n  Action: "save"', 5, 4]
+    ])
+  })
+
+  it('should throw if a delayed transition has an invalid duration', async function () {
+    const sourceText = `
+@machine App
+  Home
+    after 300 -> About
+    after 1.5s -> About
+    after sessionTimeout -> About
+  About
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof SemanticError)
+      Assert.strictEqual(error.message, 'Invalid duration\n  Duration: "300"\n  Expected a number followed by one of the units: ms, s, m, h')
+      Assert.strictEqual(error.line, 4)
+      return true
+    })
+  })
+
+  it('should throw if a history state is not a leaf child of a compound state', async function () {
+    const sourceText = `
+@machine App
+  Tabs
+    History^
+  Panels&
+    Panel History^^
+    Left
+    Right
+  Back^
+    go -> Tabs
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => [e.message.split('\n')[0], e.line]), [
+        ['History states must be children of compound states', 6],
+        ['History states cannot have transitions', 10]
+      ])
+      return true
+    })
+  })
+
+  it('should not make a history state the initial state', async function () {
+    const sourceText = `
+@machine App
+  Tabs
+    History^^
+    First
+    Second
+  Settings
+    back -> History^^
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = await analyzer.analyze(parser.parse(tokens))
+    const tabs = scopeNode.machines[0].states[0]
+
+    Assert.deepStrictEqual(tabs.states.map(n => n.initial), [false, true, false])
+  })
+
+  it('should throw if a context field is invalid', async function () {
+    const sourceText = `
+@machine App
+  @context
+    username: string = "guest"
+    retries: number = "3"
+    created: date
+    username: string
+    token: string
+  Home
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => [e.message.split('\n')[0], e.line]), [
+        ['Context field default does not match its type', 5],
+        ['Unknown context field type', 6],
+        ['Duplicate context field', 7]
+      ])
+      return true
+    })
+  })
+
+  it('should throw if an event declaration is invalid', async function () {
+    const sourceText = `
+@event authenticate { username: string, username: string }
+@event upload { size: bytes }
+@event authenticate
+@machine App
+  Home
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => [e.message.split('\n')[0], e.line]), [
+        ['Duplicate event field', 2],
+        ['Unknown event field type', 3],
+        ['Duplicate event', 4]
+      ])
+      return true
+    })
+  })
+
+  it('should warn about events that are not declared in strict mode', async function () {
+    const sourceText = `
+@import { authenticate, logout } from './events/Events'
+@event cancel
+@machine App
+  * -> Home
+  Home
+    authenticate -> Away
+    failure -> Away
+    cancel -> Away
+    after 1s -> Away
+  Away
+    logout -> Home
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const warnings = []
+    const analyze = strict => makeAnalyzer({
+      cache: new MemoryCache(),
+      srcDir: 'fixtures',
+      strict,
+      onWarning: warning => warnings.push(warning)
+    }).analyze(parser.parse(tokens))
+
+    await analyze(false)
+    Assert.deepStrictEqual(warnings, [])
+
+    await analyze(true)
+    Assert.ok(warnings.every(warning => warning instanceof SemanticWarning))
+    // failure is declared in events/Events.wirestate but isn't imported
+    Assert.deepStrictEqual(warnings.map(w => [w.message, w.line, w.column]), [
+      ['Event not declared\n  Event: "failure"', 8, 4]
+    ])
+  })
+
+  it('should throw if an imported name is not exported', async function () {
+    const sourceText = `
+@import { Auth as Login, Nothing } from './Auth'
+@import { logout as Login, failure } from './events/Events'
+@event failure
+@machine App
+  Home
+    @use Login
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+    const analyzer = makeAnalyzer({ cache: new MemoryCache(), srcDir: 'fixtures' })
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => [e.message, e.line, e.column]), [
+        ['Duplicate import\n  Name: "Login"', 3, 10],
+        ['Duplicate import\n  Name: "failure"', 3, 27],
+        ['Import not exported, only machines and declared events can be imported\n  Name: "Nothing"\n  File: Auth.wirestate', 2, 25]
+      ])
+      return true
+    })
+  })
+
+  it('should resolve machines and events imported with an alias', async function () {
+    const sourceText = `
+@import { Auth as Login } from './Auth'
+@import { authenticate as sign in } from './events/Events'
+@machine App
+  Home
+    sign in -> Home
+    @use Login
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const warnings = []
+    const analyzer = makeAnalyzer({
+      cache: new MemoryCache(),
+      srcDir: 'fixtures',
+      strict: true,
+      onWarning: warning => warnings.push(warning)
+    })
+
+    await analyzer.analyze(parser.parse(tokens))
+    // Auth.wirestate doesn't declare its events
+    Assert.deepStrictEqual(warnings.filter(w => w.fileName === 'App.wirestate'), [])
+  })
+
+  it('should bind used machines to the machine they resolve to', async function () {
+    const sourceText = `
+@import { Auth as Login } from './Auth'
+@machine Auth
+  Local
+@machine App
+  Home
+    @use Login
+  Away
+    @use Auth as Other
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const analyzer = makeAnalyzer({ cache: new MemoryCache(), srcDir: 'fixtures' })
+    const scopeNode = await analyzer.analyze(parser.parse(tokens))
+    const [home, away] = ScopeNode.fromJSON(scopeNode.toJSON()).machines[1].states
+
+    Assert.deepStrictEqual(home.useDirective.binding, { wireStateFile: 'Auth.wirestate', machineId: 'Auth' })
+    Assert.deepStrictEqual(away.useDirective.binding, { wireStateFile: 'App.wirestate', machineId: 'Auth' })
+    Assert.strictEqual(away.useDirective.alias, 'Other')
+  })
+
+  it('should report circular imports with every import of the chain', async function () {
+    const cache = new MemoryCache()
+
+    await Assert.rejects(requireWireStateFile('cycles/Dialog.wirestate', { cache, srcDir: 'fixtures' }), error => {
+      Assert.ok(error instanceof SemanticError)
+      Assert.strictEqual(error.message, [
+        'Circular import',
+        '  cycles/Dialog.wirestate:1:1 imports cycles/Form.wirestate',
+        '  cycles/Form.wirestate:1:1 imports cycles/Dialog.wirestate'
+      ].join('\n'))
+      Assert.deepStrictEqual([error.fileName, error.line, error.column], ['cycles/Form.wirestate', 1, 0])
+      return true
+    })
+  })
+
+  it('should report circular imports between files imported by the same file', async function () {
+    // Root imports Left and Right, which import each other
+    await Assert.rejects(requireWireStateFile('cycles/diamond/Root.wirestate', { cache: new MemoryCache(), srcDir: 'fixtures' }), error => {
+      const [title, ...links] = error.message.split('\n')
+
+      Assert.ok(error instanceof SemanticError)
+      Assert.strictEqual(title, 'Circular import')
+      Assert.deepStrictEqual(links.sort(), [
+        '  cycles/diamond/Left.wirestate:1:1 imports cycles/diamond/Right.wirestate',
+        '  cycles/diamond/Right.wirestate:1:1 imports cycles/diamond/Left.wirestate'
+      ])
+      return true
+    })
+  })
+
+  it('should report machines that use themselves with every use of the chain', async function () {
+    await Assert.rejects(requireWireStateFile('cycles/Wizard.wirestate', { cache: new MemoryCache(), srcDir: 'fixtures' }), error => {
+      Assert.ok(error instanceof SemanticError)
+      Assert.strictEqual(error.message, [
+        'Circular use',
+        '  cycles/Wizard.wirestate:3:5 Wizard uses Page',
+        '  cycles/Wizard.wirestate:7:5 Page uses Summary',
+        '  cycles/Wizard.wirestate:11:5 Summary uses Wizard'
+      ].join('\n'))
+      Assert.deepStrictEqual([error.fileName, error.line, error.column], ['cycles/Wizard.wirestate', 11, 4])
+      return true
+    })
+
+    const tokens = tokenizer.tokenize(`
+@machine App
+  Home
+    @use App
+`)
+    await Assert.rejects(analyzer.analyze(parser.parse(tokens)), error => {
+      Assert.strictEqual(error.message, 'Circular use\n  App.wirestate:4:5 App uses App')
+      return true
+    })
+  })
+
+  it('should report every semantic error at once', async function () {
+    const sourceText = `
+@machine App
+  Home
+    about -> About
+    home -> Home
+    home -> Home
+  Home
+  Away*
+  Gone*
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => e.message.split('\n')[0]), [
+        'Duplicate state',
+        'Only one child state can be marked as initial',
+        'Duplicate transition',
+        'Transition target cannot be resolved'
+      ])
+      Assert.deepStrictEqual(error.errors.map(e => e.line), [3, 9, 5, 4])
+      return true
+    })
+  })
+
+  it('should reject with the error itself when there is only one error', async function () {
+    const sourceText = `
+@machine App
+  Home
+    about -> About
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof SemanticError)
+      Assert.strictEqual(error.fileName, 'App.wirestate')
+      return true
+    })
+  })
+
+  it('should report errors from imported files', async function () {
+    const sourceText = `
+@import { Nothing } from './Missing'
+@machine App
+  Home
+    @use Other
+  Away
+    leave -> Gone
+`
+    const tokens = tokenizer.tokenize(sourceText)
+    const scopeNode = parser.parse(tokens)
+    const analyzer = makeAnalyzer({ cache: new MemoryCache(), srcDir: 'fixtures' })
+
+    await Assert.rejects(analyzer.analyze(scopeNode), error => {
+      Assert.ok(error instanceof ErrorList)
+      Assert.deepStrictEqual(error.errors.map(e => e.message.split('\n')[0]), [
+        'Import file not found',
+        'Transition target cannot be resolved'
+      ])
+      return true
+    })
+  })
 })
@@ -1,3 +1,14 @@
+/**
+ * A comment of a wirestate file, attached to a node when parsing with trivia.
+ *
+ * @typedef {Object} SourceComment
+ * @prop {string} value The text of the comment after the #
+ * @prop {number} line
+ * @prop {number} column
+ * @prop {number} start The offset of the # in the source text
+ * @prop {number} end The offset after the last character of the comment
+ */
+
 class Node {
   /**
    * @param {string} type
@@ -16,6 +27,28 @@ class Node {
     this._type = type
     this.line = 1
     this.column = 0
+    /**
+     * The offset of the first character of the node in the source text, only
+     * set when parsing with trivia
+     * @type {number}
+     */
+    this.start = null
+    /**
+     * The offset after the last character of the node in the source text,
+     * only set when parsing with trivia
+     * @type {number}
+     */
+    this.end = null
+    /**
+     * The comments on their own line before the node
+     * @type {SourceComment[]}
+     */
+    this.leadingComments = []
+    /**
+     * The comments at the end of a line of the node
+     * @type {SourceComment[]}
+     */
+    this.trailingComments = []
   }
 
   get type () { return this._type }
@@ -36,23 +69,53 @@ class Node {
   }
 
   toJSON () {
-    return {
+    const json = {
       type: this.type,
       line: this.line,
       column: this.column
     }
+
+    if (this.start !== null) {
+      Object.assign(json, {
+        start: this.start,
+        end: this.end,
+        leadingComments: this.leadingComments.map(c => Object.assign({}, c)),
+        trailingComments: this.trailingComments.map(c => Object.assign({}, c))
+      })
+    }
+
+    return json
+  }
+
+  /**
+   * Reads the location and trivia of the node from its JSON.
+   *
+   * @protected
+   * @param {Object} json
+   */
+  _readLocation (json) {
+    this.line = json.line
+    this.column = json.column
+
+    if (typeof json.start === 'number') {
+      this.start = json.start
+      this.end = json.end
+      this.leadingComments = (json.leadingComments || []).map(c => Object.assign({}, c))
+      this.trailingComments = (json.trailingComments || []).map(c => Object.assign({}, c))
+    }
   }
 }
 
 export class ScopeNode extends Node {
   static fromJSON (json) {
     const inst = new ScopeNode(json.wireStateFile)
-    inst.line = json.line
-    inst.column = json.column
+    inst._readLocation(json)
     inst._machines = json.machines.map(MachineNode.fromJSON)
     inst._machines.forEach(n => (n.parent = inst))
     inst._imports = json.imports.map(ImportNode.fromJSON)
     inst._imports.forEach(n => (n.parent = inst))
+    inst._events = (json.events || []).map(EventNode.fromJSON)
+    inst._events.forEach(n => (n.parent = inst))
     return inst
   }
 
@@ -69,11 +132,17 @@ export class ScopeNode extends Node {
      * @type {MachineNode[]}
      */
     this._machines = []
+    /**
+     * @private
+     * @type {EventNode[]}
+     */
+    this._events = []
   }
 
   get wireStateFile () { return this._wireStateFile }
   get imports () { return this._imports }
   get machines () { return this._machines }
+  get events () { return this._events }
   set parent (value) {
     throw new Error('ScopeNode cannot have a parent')
   }
@@ -83,32 +152,46 @@ export class ScopeNode extends Node {
     json.wireStateFile = this.wireStateFile
     json.imports = this._imports.map(n => n.toJSON())
     json.machines = this._machines.map(n => n.toJSON())
+    json.events = this._events.map(n => n.toJSON())
     return json
   }
 }
 
+/**
+ * @typedef {Object} ImportSpecifier
+ * @prop {string} name The name of the declaration in the imported file
+ * @prop {string} alias The local name of the declaration or null
+ * @prop {number} line
+ * @prop {number} column
+ */
+
 export class ImportNode extends Node {
   static fromJSON (json) {
-    const inst = new ImportNode(json.machineIds, json.wireStateFile)
-    inst.line = json.line
-    inst.column = json.column
+    // Caches written before aliases were supported only list the machineIds
+    const specifiers = json.specifiers || (json.machineIds || []).map(name => ({ name, alias: null }))
+    const inst = new ImportNode(specifiers, json.wireStateFile)
+    inst._readLocation(json)
     return inst
   }
 
   /**
-   * @param {string[]} machineIds
+   * @param {ImportSpecifier[]} specifiers
    * @param {string} wireStateFile
    */
-  constructor (machineIds, wireStateFile) {
+  constructor (specifiers, wireStateFile) {
     super('import')
     /** @private */
-    this._machineIds = machineIds.slice()
+    this._specifiers = specifiers.map(specifier => Object.assign({ alias: null }, specifier))
     /** @private */
     this._wireStateFile = wireStateFile
   }
 
   get wireStateFile () { return this._wireStateFile }
-  get machineIds () { return this._machineIds }
+  get specifiers () { return this._specifiers }
+  /** The names of the imported declarations in the imported file */
+  get names () { return this._specifiers.map(s => s.name) }
+  /** The names the imported declarations are known by in the importing file */
+  get localNames () { return this._specifiers.map(s => s.alias || s.name) }
   /** @type {ScopeNode} */
   get parent () {
     // @ts-ignore
@@ -126,7 +209,60 @@ export class ImportNode extends Node {
   toJSON () {
     const json = super.toJSON()
     json.wireStateFile = this.wireStateFile
-    json.machineIds = this.machineIds.slice()
+    json.specifiers = this.specifiers.map(s => Object.assign({}, s))
+    json.machineIds = this.names
+    return json
+  }
+}
+
+/**
+ * @typedef {Object} EventField
+ * @prop {string} name
+ * @prop {string} type One of the FIELD_TYPES
+ * @prop {boolean} optional Flag when the field can be left out of the payload
+ * @prop {number} line
+ * @prop {number} column
+ */
+
+export class EventNode extends Node {
+  static fromJSON (json) {
+    const inst = new EventNode(json.name, json.fields)
+    inst._readLocation(json)
+    return inst
+  }
+
+  /**
+   * @param {string} name The event name
+   * @param {EventField[]} fields The fields of the event payload
+   */
+  constructor (name, fields) {
+    super('event')
+    /** @private */
+    this._name = name
+    /** @private */
+    this._fields = fields.map(field => Object.assign({}, field))
+  }
+
+  get name () { return this._name }
+  get fields () { return this._fields }
+
+  /** @type {ScopeNode} */
+  get parent () {
+    return /** @type {ScopeNode} */(this._parent)
+  }
+
+  set parent (value) {
+    if (value instanceof ScopeNode) {
+      this._parent = value
+    } else {
+      throw new Error('EventNode parent must be an instance of ScopeNode')
+    }
+  }
+
+  toJSON () {
+    const json = super.toJSON()
+    json.name = this.name
+    json.fields = this.fields.map(field => Object.assign({}, field))
     return json
   }
 }
@@ -139,6 +275,11 @@ class CompoundNode extends Node {
   constructor (type, id) {
     super(type)
     this.id = id
+    /**
+     * The text of the doc comments (##) right above the node or null
+     * @type {string}
+     */
+    this.description = null
     /**
      * @private
      * @type {Array<StateNode>}
@@ -149,16 +290,38 @@ class CompoundNode extends Node {
      * @type {TransitionNode[]}
      */
     this._transitions = []
+    /**
+     * @private
+     * @type {ActionDirectiveNode[]}
+     */
+    this._actionDirectives = []
   }
 
   get states () { return this._states }
   get transitions () { return this._transitions }
+  get actionDirectives () { return this._actionDirectives }
+
+  /** @type {string[]} The names of the actions performed when entering the node */
+  get entryActions () {
+    return this._actionDirectives
+      .filter(n => n.directiveType === '@entry')
+      .reduce((actions, n) => actions.concat(n.actions), [])
+  }
+
+  /** @type {string[]} The names of the actions performed when exiting the node */
+  get exitActions () {
+    return this._actionDirectives
+      .filter(n => n.directiveType === '@exit')
+      .reduce((actions, n) => actions.concat(n.actions), [])
+  }
 
   toJSON () {
     const json = super.toJSON()
     json.id = this.id
+    json.description = this.description
     json.states = this._states.map(n => n.toJSON())
     json.transitions = this._transitions.map(n => n.toJSON())
+    json.actionDirectives = this._actionDirectives.map(n => n.toJSON())
     return json
   }
 }
@@ -166,18 +329,25 @@ class CompoundNode extends Node {
 export class MachineNode extends CompoundNode {
   static fromJSON (json) {
     const inst = new MachineNode(json.id)
-    inst.line = json.line
-    inst.column = json.column
+    inst._readLocation(json)
+    inst.description = json.description || null
     inst._states = json.states.map(StateNode.fromJSON)
     inst._states.forEach(n => (n.parent = inst))
     inst._transitions = json.transitions.map(TransitionNode.fromJSON)
     inst._transitions.forEach(n => (n.parent = inst))
+    inst._actionDirectives = (json.actionDirectives || []).map(ActionDirectiveNode.fromJSON)
+    inst._actionDirectives.forEach(n => (n.parent = inst))
+    inst.context = json.context
+      ? Object.assign(ContextNode.fromJSON(json.context), { parent: inst })
+      : null
     return inst
   }
 
   /** @param {string} id */
   constructor (id) {
     super('machine', id)
+    /** @type {ContextNode} */
+    this.context = null
   }
 
   /** @type {ScopeNode} */
@@ -192,17 +362,24 @@ export class MachineNode extends CompoundNode {
       throw new Error('MachineNode parent must be an instance of ScopeNode')
     }
   }
+
+  toJSON () {
+    const json = super.toJSON()
+    json.context = this.context ? this.context.toJSON() : null
+    return json
+  }
 }
 
 export class StateNode extends CompoundNode {
   static fromJSON (json) {
     const inst = new StateNode(json.id, json.indent)
-    inst.line = json.line
-    inst.column = json.column
+    inst._readLocation(json)
+    inst.description = json.description || null
     inst.initial = json.initial
     inst.stateType = json.stateType
     inst.parallel = json.parallel
     inst.final = json.final
+    inst.history = json.history || null
     inst.useDirective = json.useDirective
       ? Object.assign(UseDirectiveNode.fromJSON(json.useDirective), { parent: inst })
       : null
@@ -210,6 +387,8 @@ export class StateNode extends CompoundNode {
     inst._states.forEach(n => (n.parent = inst))
     inst._transitions = json.transitions.map(TransitionNode.fromJSON)
     inst._transitions.forEach(n => (n.parent = inst))
+    inst._actionDirectives = (json.actionDirectives || []).map(ActionDirectiveNode.fromJSON)
+    inst._actionDirectives.forEach(n => (n.parent = inst))
     return inst
   }
 
@@ -223,6 +402,12 @@ export class StateNode extends CompoundNode {
     this.final = false
     this.parallel = false
     this.stateType = 'atomic'
+    /**
+     * The type of a history state, "shallow" or "deep", or null when the state
+     * is not a history state.
+     * @type {string}
+     */
+    this.history = null
     this.indent = indent
     /** @type {UseDirectiveNode} */
     this.useDirective = null
@@ -277,6 +462,7 @@ export class StateNode extends CompoundNode {
     json.initial = this.initial
     json.parallel = this.parallel
     json.final = this.final
+    json.history = this.history
     json.indent = this.indent
     json.useDirective = this.useDirective
     return json
@@ -286,8 +472,11 @@ export class StateNode extends CompoundNode {
 export class TransitionNode extends Node {
   static fromJSON (json) {
     const inst = new TransitionNode(json.event, json.target)
-    inst.line = json.line
-    inst.column = json.column
+    inst._readLocation(json)
+    inst.delay = json.delay || null
+    inst.cond = json.cond || null
+    inst.actions = (json.actions || []).slice()
+    inst.description = json.description || null
     return inst
   }
 
@@ -301,6 +490,27 @@ export class TransitionNode extends Node {
     this._event = event
     /** @private */
     this._target = (target || '').trim()
+    /**
+     * The duration (i.e. 300ms) or the name of the delay after which the
+     * transition is taken, the transition doesn't handle an event when set
+     * @type {string}
+     */
+    this.delay = null
+    /**
+     * The name of the guard that must pass for the transition to be taken
+     * @type {string}
+     */
+    this.cond = null
+    /**
+     * The names of the actions performed when the transition is taken
+     * @type {string[]}
+     */
+    this.actions = []
+    /**
+     * The text of the doc comments (##) right above the transition or null
+     * @type {string}
+     */
+    this.description = null
   }
 
   get event () { return this._event }
@@ -326,7 +536,11 @@ export class TransitionNode extends Node {
     const json = super.toJSON()
     json.event = this.event
     json.target = this.target
+    json.delay = this.delay
+    json.cond = this.cond
+    json.actions = this.actions.slice()
     json.isForbidden = this.isForbidden
+    json.description = this.description
     return json
   }
 }
@@ -350,11 +564,17 @@ class DirectiveNode extends Node {
   }
 }
 
+/**
+ * @typedef {Object} MachineBinding
+ * @prop {string} wireStateFile The file the machine is declared in
+ * @prop {string} machineId The ID the machine is declared with
+ */
+
 export class UseDirectiveNode extends DirectiveNode {
   static fromJSON (json) {
     const inst = new UseDirectiveNode(json.machineId, json.alias)
-    inst.line = json.line
-    inst.column = json.column
+    inst._readLocation(json)
+    inst.binding = json.binding || null
     return inst
   }
 
@@ -368,6 +588,11 @@ export class UseDirectiveNode extends DirectiveNode {
     this._machineId = machineId
     /** @private */
     this._alias = alias
+    /**
+     * The machine the directive embeds, set by the analyzer
+     * @type {MachineBinding}
+     */
+    this.binding = null
   }
 
   get machineId () { return this._machineId }
@@ -390,6 +615,117 @@ export class UseDirectiveNode extends DirectiveNode {
   toJSON () {
     const json = super.toJSON()
     json.machineId = this.machineId
+    json.alias = this.alias
+    json.binding = this.binding ? Object.assign({}, this.binding) : null
+    return json
+  }
+}
+
+export class ActionDirectiveNode extends DirectiveNode {
+  static fromJSON (json) {
+    const inst = new ActionDirectiveNode(json.directiveType, json.actions)
+    inst._readLocation(json)
+    return inst
+  }
+
+  /**
+   * @param {string} directiveType Either @entry or @exit
+   * @param {string[]} actions The names of the actions
+   */
+  constructor (directiveType, actions) {
+    super(directiveType)
+    /** @private */
+    this._actions = actions.slice()
+  }
+
+  get actions () { return this._actions }
+
+  /** @type {CompoundNode} */
+  get parent () {
+    // @ts-ignore
+    return this._parent
+  }
+
+  set parent (value) {
+    if (value instanceof CompoundNode) {
+      this._parent = value
+    } else {
+      throw new Error('ActionDirectiveNode parent must be an instance of MachineNode or StateNode')
+    }
+  }
+
+  toJSON () {
+    const json = super.toJSON()
+    json.actions = this.actions.slice()
+    return json
+  }
+}
+
+/**
+ * The types a context field or an event payload field can be declared with.
+ */
+export const FIELD_TYPES = ['string', 'number', 'boolean']
+
+/**
+ * @typedef {Object} ContextField
+ * @prop {string} name
+ * @prop {string} type One of the FIELD_TYPES
+ * @prop {string|number|boolean} value The default value, null when not specified
+ * @prop {number} line
+ * @prop {number} column
+ */
+
+export class ContextNode extends DirectiveNode {
+  static fromJSON (json) {
+    const inst = new ContextNode(json.fields)
+    inst._readLocation(json)
+    return inst
+  }
+
+  /**
+   * @param {ContextField[]} fields
+   */
+  constructor (fields) {
+    super('@context')
+    /** @private */
+    this._fields = fields.map(field => Object.assign({}, field))
+  }
+
+  get fields () { return this._fields }
+
+  /** @type {Object<string, string|number|boolean>} The default value of every field keyed by field name */
+  get defaults () {
+    return this._fields.reduce((defaults, field) => {
+      defaults[field.name] = field.value
+      return defaults
+    }, {})
+  }
+
+  /** @type {Object<string, string>} The type of every field keyed by field name */
+  get schema () {
+    return this._fields.reduce((schema, field) => {
+      schema[field.name] = field.type
+      return schema
+    }, {})
+  }
+
+  /** @type {MachineNode} */
+  get parent () {
+    // @ts-ignore
+    return this._parent
+  }
+
+  set parent (value) {
+    if (value instanceof MachineNode) {
+      this._parent = value
+    } else {
+      throw new Error('ContextNode parent must be an instance of MachineNode')
+    }
+  }
+
+  toJSON () {
+    const json = super.toJSON()
+    json.fields = this.fields.map(field => Object.assign({}, field))
     return json
   }
 }
@@ -409,15 +745,19 @@ export const walk = (node, visit) => {
     const node = stack.shift()
 
     if (node instanceof ScopeNode) {
+      stack.unshift(...node.events)
       stack.unshift(...node.imports)
       stack.unshift(...node.machines)
     } else if (node instanceof StateNode) {
       stack.unshift(...node.transitions)
+      stack.unshift(...node.actionDirectives)
       node.useDirective && stack.unshift(node.useDirective)
       stack.unshift(...node.states)
     } else if (node instanceof MachineNode) {
       stack.unshift(...node.transitions)
+      stack.unshift(...node.actionDirectives)
       stack.unshift(...node.states)
+      node.context && stack.unshift(node.context)
     }
 
     returnValue = visit(node)
@@ -426,6 +766,39 @@ export const walk = (node, visit) => {
   return returnValue
 }
 
+/**
+ * Forms the file-qualified ID of a machine (i.e. "forms/Login.wirestate#Form"),
+ * machines of different files can have the same ID but not the same qualified
+ * ID.
+ *
+ * @param {string} wireStateFile The file the machine is declared in
+ * @param {string} machineId
+ * @return {string}
+ */
+export const qualifyMachineId = (wireStateFile, machineId) => {
+  return `${wireStateFile}#${machineId}`
+}
+
+/**
+ * Finds the import of a declaration by the name it's known by in a file, which
+ * is its alias when it's imported with one.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {string} localName
+ * @return {{ importNode: ImportNode, name: string }} The import and the name of the declaration in the imported file, or null
+ */
+export const resolveImport = (scopeNode, localName) => {
+  for (const importNode of scopeNode.imports) {
+    const specifier = importNode.specifiers.find(s => (s.alias || s.name) === localName)
+
+    if (specifier) {
+      return { importNode, name: specifier.name }
+    }
+  }
+
+  return null
+}
+
 /**
  * Attempts to resolve a transition's target state ID from the transition node's
  * machine node.
@@ -65,7 +65,9 @@ export class CacheBase {
 
   /**
    * Attempts to locate a machine by ID within any wirestate file stored in the
-   * cache. The first `MachineNode` with a matching ID will be returned.
+   * cache. The first `MachineNode` with a matching ID will be returned, unless
+   * the ID is qualified with the file of the machine (i.e.
+   * "forms/Login.wirestate#Form") in which case only that file is searched.
    *
    * @param {string} machineId The machine ID to search for
    * @return {Promise<MachineNode>} Resolves to the matching `MachineNode` or `null`
@@ -74,6 +76,17 @@ export class CacheBase {
     throw new Error('Unimplemented')
   }
 
+  /**
+   * Locates a machine by the file it's declared in and its ID.
+   *
+   * @param {string} wireStateFile The file basename of a wirestate file
+   * @param {string} machineId The ID the machine is declared with
+   * @return {Promise<MachineNode>} Resolves to the matching `MachineNode` or `null`
+   */
+  findMachine (wireStateFile, machineId) {
+    throw new Error('Unimplemented')
+  }
+
   toJSON () {
     return {}
   }
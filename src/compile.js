@@ -6,18 +6,55 @@ import { makeGenerator } from './generator'
 /* eslint-disable-next-line */
 import { CacheBase } from './cache-base'
 import { MemoryCache } from './memory-cache'
+import { combineErrors } from './errors'
+import { readImportGraph, collectDependencies } from './dependencies'
+// eslint-disable-next-line
+import { Config, resolveCompileOptions } from './config'
 
 /**
+ * Creates a cache that only holds a wirestate file and the files it imports,
+ * so that generators don't emit machines of unrelated files in the cache.
+ *
+ * @param {CacheBase} cache
+ * @param {string} wireStateFile
+ * @return {Promise<CacheBase>}
+ */
+const scopeCache = async (cache, wireStateFile) => {
+  const graph = await readImportGraph(cache)
+  const scopedCache = new MemoryCache()
+
+  await Promise.all(
+    collectDependencies(graph, [wireStateFile]).map(wireStateFile => {
+      return scopedCache.set(wireStateFile, cache.get(wireStateFile))
+    })
+  )
+
+  return scopedCache
+}
+
+/**
+ * Compiles the text of a wirestate file. Only the machines of the file and of
+ * the files it imports are generated, other files in the cache are left out.
+ *
  * @param {string} text
  * @param {string} wireStateFile
  * @param {Object} [options]
+ * @param {Config} [options.config] The project config, options that are specified take precedence over it
  * @param {string} [options.srcDir]
  * @param {CacheBase} [options.cache]
  * @param {string} [options.generatorName]
  * @param {boolean} [options.disableCallbacks] Flag when generating XState to disable action mapping
+ * @param {boolean} [options.timestamp] Flag when generating XState to stamp the date of the generation in the module
+ * @param {boolean} [options.collapseUses] Flag when generating DOT to draw embedded machines as a single state
+ * @param {string} [options.machine] The ID of the machine to generate when generating SCXML
+ * @param {string[]} [options.actions] The names of the provided action implementations, referenced actions that aren't provided are reported as warnings
+ * @param {boolean} [options.strict] Flag to report transitions for events that aren't declared as warnings
+ * @param {(warning: Error) => any} [options.onWarning] Called with every warning found while analyzing
  * @return {Promise<string>}
  */
-export const compileFromText = async (text, wireStateFile, { srcDir = '', cache = new MemoryCache(), generatorName = 'json', disableCallbacks = false } = {}) => {
+export const compileFromText = async (text, wireStateFile, options = {}) => {
+  const { srcDir, cache, generatorName, generatorOptions, actions, strict, onWarning } = resolveCompileOptions(options)
+
   if (Path.isAbsolute(wireStateFile)) {
     throw new Error('WireStateFile must be relative')
   }
@@ -33,29 +70,87 @@ export const compileFromText = async (text, wireStateFile, { srcDir = '', cache
     : `${wireStateFile}.wirestate`
 
   const tokenizer = makeTokenizer({ wireStateFile })
-  const parser = makeParser({ wireStateFile })
-  const analyzer = makeAnalyzer({ cache, srcDir })
+  const parser = makeParser({ wireStateFile, recover: true })
+  const analyzer = makeAnalyzer({ cache, srcDir, actions, strict, onWarning })
   const generator = makeGenerator()
 
   const tokens = tokenizer.tokenize(text)
   let scopeNode = parser.parse(tokens)
+
+  if (parser.errors.length) {
+    throw combineErrors(parser.errors)
+  }
+
   scopeNode = await analyzer.analyze(scopeNode)
 
   await cache.set(wireStateFile, Promise.resolve(scopeNode))
 
-  return generator.generate(cache, { generatorName, disableCallbacks })
+  return generator.generate(await scopeCache(cache, wireStateFile), Object.assign({ generatorName }, generatorOptions))
 }
 
 /**
+ * Compiles a wirestate file. Only the machines of the file and of the files it
+ * imports are generated, other files in the cache are left out.
+ *
  * @param {string} fileName
  * @param {Object} [options]
+ * @param {Config} [options.config] The project config, options that are specified take precedence over it
  * @param {string} [options.srcDir]
  * @param {CacheBase} [options.cache]
  * @param {string} [options.generatorName]
  * @param {boolean} [options.disableCallbacks] Flag when generating XState to disable callback mapping
+ * @param {boolean} [options.timestamp] Flag when generating XState to stamp the date of the generation in the module
+ * @param {boolean} [options.collapseUses] Flag when generating DOT to draw embedded machines as a single state
+ * @param {string} [options.machine] The ID of the machine to generate when generating SCXML
+ * @param {string[]} [options.actions] The names of the provided action implementations, referenced actions that aren't provided are reported as warnings
+ * @param {boolean} [options.strict] Flag to report transitions for events that aren't declared as warnings
+ * @param {(warning: Error) => any} [options.onWarning] Called with every warning found while analyzing
  * @return {Promise<string>}
  */
-export const compile = async (fileName, { srcDir = '', cache = new MemoryCache(), generatorName = 'json', disableCallbacks = false } = {}) => {
+export const compile = async (fileName, options = {}) => {
+  const { srcDir, cache, generatorName, generatorOptions, actions, strict, onWarning } = resolveCompileOptions(options)
+  const wireStateFile = await loadWireStateFile(fileName, { srcDir, cache, actions, strict, onWarning })
+
+  const generator = makeGenerator()
+  return generator.generate(await scopeCache(cache, wireStateFile), Object.assign({ generatorName }, generatorOptions))
+}
+
+/**
+ * Retrieves the IDs of the machines declared in a wirestate file, in the order
+ * they're declared (i.e. to compile every machine of a file to SCXML).
+ *
+ * @param {string} fileName
+ * @param {Object} [options]
+ * @param {Config} [options.config] The project config, options that are specified take precedence over it
+ * @param {string} [options.srcDir]
+ * @param {CacheBase} [options.cache]
+ * @param {string[]} [options.actions] The names of the provided action implementations, referenced actions that aren't provided are reported as warnings
+ * @param {boolean} [options.strict] Flag to report transitions for events that aren't declared as warnings
+ * @param {(warning: Error) => any} [options.onWarning] Called with every warning found while analyzing
+ * @return {Promise<string[]>}
+ */
+export const readMachineIds = async (fileName, options = {}) => {
+  const { srcDir, cache, actions, strict, onWarning } = resolveCompileOptions(options)
+  const wireStateFile = await loadWireStateFile(fileName, { srcDir, cache, actions, strict, onWarning })
+  const scopeNode = await cache.get(wireStateFile)
+
+  return scopeNode.machines.map(machineNode => machineNode.id)
+}
+
+/**
+ * Loads a wirestate file and the files it imports in the cache, unless the
+ * file is cached already.
+ *
+ * @param {string} fileName
+ * @param {Object} options
+ * @param {string} options.srcDir
+ * @param {CacheBase} options.cache
+ * @param {string[]} options.actions
+ * @param {boolean} options.strict
+ * @param {(warning: Error) => any} options.onWarning
+ * @return {Promise<string>} The name of the wirestate file relative to the srcDir
+ */
+const loadWireStateFile = async (fileName, { srcDir, cache, actions, strict, onWarning }) => {
   let wireStateFile = Path.relative(Path.resolve(srcDir), Path.resolve(fileName))
 
   if (wireStateFile.startsWith('.')) {
@@ -73,9 +168,42 @@ export const compile = async (fileName, { srcDir = '', cache = new MemoryCache()
   if (cacheHit) {
     await cache.get(wireStateFile)
   } else {
-    await requireWireStateFile(wireStateFile, { cache, srcDir })
+    await requireWireStateFile(wireStateFile, { cache, srcDir, actions, strict, onWarning })
   }
 
-  const generator = makeGenerator()
-  return generator.generate(cache, { generatorName, disableCallbacks })
+  return wireStateFile
+}
+
+/**
+ * Determines the name of the file a compiled wirestate file is written to.
+ * The output file mirrors the location of the wirestate file in the srcDir
+ * and appends the file extension of the generator, preceded by the ID of the
+ * machine when a single machine of the file is compiled.
+ *
+ * @example
+ * outputFileName('statechart/forms/Login.wirestate', { srcDir: 'statechart', outDir: 'dist', generatorName: 'xstate' })
+ * // dist/forms/Login.wirestate.js
+ * outputFileName('statechart/forms/Login.wirestate', { srcDir: 'statechart', outDir: 'dist', generatorName: 'scxml', machine: 'Form' })
+ * // dist/forms/Login.wirestate.Form.scxml
+ * @param {string} fileName
+ * @param {Object} [options]
+ * @param {string} [options.srcDir]
+ * @param {string} [options.outDir]
+ * @param {string} [options.generatorName]
+ * @param {string} [options.machine] The ID of the compiled machine
+ * @return {string}
+ */
+export const outputFileName = (fileName, { srcDir = '', outDir = '', generatorName = 'json', machine = undefined } = {}) => {
+  let wireStateFile = Path.relative(Path.resolve(srcDir), Path.resolve(fileName))
+
+  if (wireStateFile.startsWith('.')) {
+    throw new Error('File must be located in the srcDir')
+  }
+
+  wireStateFile = Path.extname(wireStateFile)
+    ? wireStateFile
+    : `${wireStateFile}.wirestate`
+
+  const machineSuffix = machine === undefined ? '' : `.${machine}`
+  return Path.join(outDir, wireStateFile + machineSuffix + makeGenerator().fileExtension(generatorName))
 }
@@ -1,5 +1,8 @@
 import * as Assert from 'assert'
-import { compileFromText, compile } from './compile'
+import * as Path from 'path'
+import * as TypeScript from 'typescript'
+import { compileFromText, compile, readMachineIds, outputFileName } from './compile'
+import { MemoryCache } from './memory-cache'
 
 describe('a compiler', function () {
   it('should compile to XState with proper state names', function () {
@@ -31,7 +34,7 @@ describe('a compiler', function () {
     })
   })
 
-  it.only('should compile a file with an @import', function () {
+  it('should compile a file with an @import', function () {
     return compile('fixtures/App.wirestate', { srcDir: 'fixtures', generatorName: 'xstate', disableCallbacks: true }).then(text => {
       Assert.ok(!!text.match(/machines\['App'\]/), 'App machine not found')
       Assert.ok(!!text.match(/machines\['Auth'\]/), 'Auth machine not found')
@@ -41,4 +44,540 @@ describe('a compiler', function () {
       throw error
     })
   })
+
+  it('should only generate the machines the compiled file reaches through its imports', async function () {
+    const cache = new MemoryCache()
+
+    await compileFromText('@machine Other\n  Idle\n', 'Other.wirestate', { cache, srcDir: 'fixtures' })
+
+    const auth = JSON.parse(await compile('fixtures/Auth.wirestate', { cache, srcDir: 'fixtures' }))
+    const app = JSON.parse(await compile('fixtures/App.wirestate', { cache, srcDir: 'fixtures' }))
+
+    Assert.deepStrictEqual(cache.keys.slice().sort(), ['App.wirestate', 'Auth.wirestate', 'Other.wirestate'])
+    Assert.deepStrictEqual(Object.keys(auth), ['Auth.wirestate'])
+    Assert.deepStrictEqual(Object.keys(app), ['App.wirestate', 'Auth.wirestate'])
+  })
+
+  it('should generate the same XState module for the same input', async function () {
+    const text = `
+@import { Auth } from './Auth'
+
+@machine Form
+  Idle*
+
+@machine App
+  Login
+    @use Auth
+  Editing
+    @use Form as Entry
+`
+
+    const compileXState = options => compileFromText(text, 'App.wirestate', Object.assign({ srcDir: 'fixtures', generatorName: 'xstate' }, options))
+    const first = await compileXState()
+    const second = await compileXState()
+
+    Assert.strictEqual(first, second, 'Expected byte-identical output')
+    Assert.ok(first.startsWith('/* Generated using @launchfort/wirestate */'), 'Expected no timestamp by default')
+    Assert.ok(first.includes('"id": "Entry Idle 1"'), 'Expected embedded machines to be counted per generation')
+    Assert.ok(/^\/\* Generated on \d{4}-\d{2}-\d{2}T[\d:.]+Z using @launchfort\/wirestate \*\//.test(await compileXState({ timestamp: true })), 'Expected a timestamp')
+  })
+
+  it('should compile a machine imported with an alias', async function () {
+    const text = `
+@import { Auth as Login } from './Auth'
+
+@machine App
+  Home
+    @use Login
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { srcDir: 'fixtures', generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"Home": \{\s+"id": "Home",\s+"initial": "Login",\s+"states": \{\s+"Login": \{/), 'Login machine not used')
+    Assert.ok(!!sourceText.match(/"Waiting For Input": \{\s+"id": "Login Waiting For Input 1"/), 'Login machine not namespaced')
+  })
+
+  it('should compile the used machine of the right file when machine IDs are the same', async function () {
+    const text = `
+@import { Auth as Login } from './Auth'
+
+@machine Auth
+  Local
+
+@machine App
+  Home
+    @use Login
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { srcDir: 'fixtures', generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"Login": \{\s+"initial": "Waiting For Input"/), 'Wrong Auth machine used')
+  })
+
+  it('should key machines by qualified ID and by unambiguous machine ID', async function () {
+    const text = `
+@import { Auth as Login } from './Auth'
+
+@machine Auth
+  Local
+
+@machine App
+  Home
+    @use Login
+  Away
+    @use Auth as Login
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { srcDir: 'fixtures', generatorName: 'xstate', disableCallbacks: true })
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    const machines = exports.wirestate({})
+    Assert.deepStrictEqual(Object.keys(machines).sort(), [
+      'App', 'App.wirestate#App', 'App.wirestate#Auth', 'Auth', 'Auth.wirestate#Auth', 'Login'
+    ])
+    Assert.strictEqual(machines.Auth, machines['App.wirestate#Auth'])
+    Assert.strictEqual(machines.Login, machines['Auth.wirestate#Auth'])
+    Assert.strictEqual(machines.Login.config.initial, 'Waiting For Input')
+
+    // Both machines are embedded as Login, their state IDs are counted apart
+    const { Home, Away } = machines.App.config.states
+    const [homeId, awayId] = [Home, Away].map(state => Object.values(state.states.Login.states)[0].id)
+    Assert.notStrictEqual(homeId, awayId)
+  })
+
+  it('should compile guarded transitions and require their guards', async function () {
+    const text = `
+@machine App
+  Form
+    submit [isValid] -> Saving
+    submit -> Invalid
+  Saving
+  Invalid
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"submit": \[\s+{\s+"target":\s+\[\s+"#Saving"\s+\],\s+"actions": function \(\) {},\s+"cond": "isValid"\s+},\s+{\s+"target":\s+\[\s+"#Invalid"\s+\],\s+"actions": function \(\) {}\s+}\s+\]/), 'Incorrectly generated guarded transitions')
+
+    // Evaluate the module with a stand-in for the XState Machine factory
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    const isValid = () => true
+    Assert.strictEqual(exports.wirestate({ guards: { isValid } }).App.options.guards.isValid, isValid)
+    Assert.throws(() => exports.wirestate({}), /Missing guard implementations\n {2}Guards: isValid/)
+  })
+
+  it('should compile actions and look them up by name', async function () {
+    const text = `
+@machine App
+  Form
+    @entry focus
+    @exit blur
+    submit -> Saving / save
+  Saving
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"onEntry": \[\s+"focus"\s+\],\s+"onExit": \[\s+"blur"\s+\]/), 'Entry and exit actions not generated')
+    Assert.ok(!!sourceText.match(/"submit": {\s+"target":\s+\[\s+"#Saving"\s+\],\s+"actions": \[\s+function \(\) {},\s+"save"\s+\]\s+}/), 'Transition actions not generated')
+
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    const calls = []
+    const errors = []
+    const { actions } = exports.wirestate({
+      actions: {
+        focus: (context, event) => calls.push(event.type),
+        save: () => { throw new Error('Failed') }
+      },
+      catchFn: (error, key) => errors.push([error.message, key])
+    }).App.options
+
+    Assert.deepStrictEqual(Object.keys(actions).sort(), ['blur', 'focus', 'save'])
+    actions.focus({}, { type: 'open' })
+    actions.blur({}, { type: 'close' })
+    actions.save({}, { type: 'submit' })
+    Assert.deepStrictEqual(calls, ['open'])
+    Assert.deepStrictEqual(errors, [['Failed', 'save']])
+  })
+
+  it('should compile delayed transitions and require named delays', async function () {
+    const text = `
+@machine App
+  after sessionTimeout -> Expired
+  Home
+    after 300ms -> Idle
+    after 1.5s -> Idle
+  Idle
+  Expired
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"after": {\s+"sessionTimeout": {\s+"target":\s+\[\s+"#Expired"\s+\]/), 'Named delay not generated')
+    Assert.ok(!!sourceText.match(/"after": {\s+"300": {\s+"target":\s+\[\s+"#Idle"\s+\],\s+"actions": function \(\) {}\s+},\s+"1500": {/), 'Durations not generated')
+    Assert.ok(!sourceText.includes('"on"'), 'Delayed transitions must not handle events')
+
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    Assert.deepStrictEqual(exports.wirestate({ delays: { sessionTimeout: 1000 } }).App.options.delays, { sessionTimeout: 1000 })
+    Assert.throws(() => exports.wirestate({}), /Missing delays\n {2}Delays: sessionTimeout/)
+  })
+
+  it('should compile history states', async function () {
+    const text = `
+@machine App
+  Tabs
+    History^^
+    First
+      next -> Second
+    Second
+  Settings
+    back -> History^^
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate' })
+    Assert.ok(!!sourceText.match(/"History\^\^": {\s+"id": "History\^\^",\s+"type": "history",\s+"history": "deep"\s+}/), 'History state not generated')
+    Assert.ok(!!sourceText.match(/"initial": "First"/), 'History state must not be initial')
+    Assert.ok(!!sourceText.match(/"back": {\s+"target": \[\s+"#History\^\^"\s+\]/), 'Transition to history state not generated')
+    Assert.ok(!sourceText.includes("callback('App/History^^')"), 'History states must not invoke callbacks')
+
+    const scxml = await compileFromText(text, 'App.wirestate', { generatorName: 'scxml' })
+    Assert.ok(scxml.includes('<history id="History_" type="deep" wirestate:name="History^^"/>'))
+
+    const mermaid = await compileFromText(text, 'App.wirestate', { generatorName: 'mermaid' })
+    Assert.ok(mermaid.includes('state "History^^" as History_'))
+    Assert.ok(mermaid.includes('History_ : H*'))
+
+    const dot = await compileFromText(text, 'App.wirestate', { generatorName: 'dot' })
+    Assert.ok(dot.includes('"History^^" [label="H*", tooltip="History^^", shape=circle]'))
+  })
+
+  it('should compile doc comments to descriptions', async function () {
+    const text = `
+## Signs the user in
+@machine App
+  ## Waits for the credentials
+  ## of the user
+  Idle*
+    ## Checks the credentials
+    submit -> Done!
+  Done!
+`
+
+    const json = JSON.parse(await compileFromText(text, 'App.wirestate', { generatorName: 'json' }))
+    const [machine] = json['App.wirestate'].machines
+    Assert.strictEqual(machine.description, 'Signs the user in')
+    Assert.strictEqual(machine.states[0].description, 'Waits for the credentials\nof the user')
+    Assert.strictEqual(machine.states[0].transitions[0].description, 'Checks the credentials')
+    Assert.strictEqual(machine.states[1].description, null)
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(!!sourceText.match(/"id": "App",\s+"initial": "Idle",\s+"meta": {\s+"description": "Signs the user in"\s+}/), 'Machine description not generated')
+    Assert.ok(!!sourceText.match(/"id": "Idle",\s+"meta": {\s+"description": "Waits for the credentials\\nof the user"\s+}/), 'State description not generated')
+    Assert.ok(!!sourceText.match(/"#Done!"\s+\],\s+"actions": function \(\) {},\s+"meta": {\s+"description": "Checks the credentials"\s+}/), 'Transition description not generated')
+
+    const mermaid = await compileFromText(text, 'App.wirestate', { generatorName: 'mermaid' })
+    Assert.ok(mermaid.includes('    note right of Idle\n      Waits for the credentials\n      of the user\n    end note'))
+    Assert.ok(mermaid.includes('  note right of App\n    Signs the user in\n  end note'))
+
+    const dot = await compileFromText(text, 'App.wirestate', { generatorName: 'dot' })
+    Assert.ok(dot.includes('label="App\\nSigns the user in"'))
+    Assert.ok(dot.includes('"Idle" [label="Idle\\nWaits for the credentials\\nof the user"]'))
+    Assert.ok(dot.includes('"Idle" -> "Done!" [label="submit", tooltip="Checks the credentials"]'))
+  })
+
+  it('should compile context declarations and validate context overrides', async function () {
+    const text = `
+@machine App
+  @context
+    username: string = "guest"
+    retries: number = 3
+    token: string
+  Home
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    Assert.ok(sourceText.includes('"context": machineContext(\'App.wirestate#App\')'), 'Context not generated')
+
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    Assert.deepStrictEqual(exports.wirestate({}).App.config.context, { username: 'guest', retries: 3, token: null })
+    Assert.deepStrictEqual(
+      exports.wirestate({ context: { App: { token: 'abc', retries: 5 } } }).App.config.context,
+      { username: 'guest', retries: 5, token: 'abc' }
+    )
+    Assert.deepStrictEqual(
+      exports.wirestate({ context: { 'App.wirestate#App': { token: 'abc' } } }).App.config.context,
+      { username: 'guest', retries: 3, token: 'abc' }
+    )
+    Assert.throws(
+      () => exports.wirestate({ context: { App: { retries: '5', email: '' } } }),
+      /Invalid context\n {2}App\.retries must be a number\n {2}App\.email is not declared/
+    )
+
+    const json = JSON.parse(await compileFromText(text, 'App.wirestate', { generatorName: 'json' }))
+    Assert.deepStrictEqual(json['App.wirestate'].machines[0].context.fields.map(f => [f.name, f.type, f.value]), [
+      ['username', 'string', 'guest'],
+      ['retries', 'number', 3],
+      ['token', 'string', null]
+    ])
+
+    const declarations = await compileFromText(text, 'App.wirestate', { generatorName: 'typescript' })
+    Assert.ok(declarations.includes("'App': { 'username': string, 'retries': number, 'token': string | null }"))
+  })
+
+  it('should compile event declarations to a payload validator', async function () {
+    const text = `
+@event authenticate { username: string, remember?: boolean }
+@machine App
+  Home
+    authenticate -> Away
+  Away
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate', disableCallbacks: true })
+    const { outputText } = TypeScript.transpileModule(sourceText, { compilerOptions: { module: TypeScript.ModuleKind.CommonJS } })
+    const Machine = (config, options) => ({ config, options })
+    const exports = {}
+    new Function('require', 'exports', outputText)(() => ({ Machine }), exports) // eslint-disable-line no-new-func
+
+    Assert.deepStrictEqual(exports.validateEvent('authenticate', { username: 'admin' }), { type: 'authenticate', username: 'admin' })
+    Assert.deepStrictEqual(exports.validateEvent({ type: 'other', value: 1 }), { type: 'other', value: 1 })
+    Assert.throws(
+      () => exports.validateEvent({ type: 'authenticate', remember: 'yes' }),
+      /Invalid event payload\n {2}Event: authenticate\n {2}username is required\n {2}remember must be a boolean/
+    )
+
+    const declarations = await compileFromText(text, 'App.wirestate', { generatorName: 'typescript' })
+    Assert.ok(declarations.includes("  'authenticate': { 'username': string, 'remember'?: boolean }"))
+    Assert.ok(declarations.includes('export declare function validateEvent<E extends keyof EventPayloads> (event: E, payload: EventPayloads[E]): DeclaredEvent<E>'))
+  })
+
+  it('should name output files after the wirestate file and the generator', function () {
+    Assert.strictEqual(
+      outputFileName('statechart/forms/Login.wirestate', { srcDir: 'statechart', outDir: 'dist', generatorName: 'xstate' }),
+      Path.join('dist', 'forms', 'Login.wirestate.js')
+    )
+    Assert.strictEqual(
+      outputFileName('statechart/App', { srcDir: 'statechart', outDir: 'dist' }),
+      Path.join('dist', 'App.wirestate.json')
+    )
+    Assert.strictEqual(
+      outputFileName('statechart/App.wirestate', { srcDir: 'statechart', outDir: 'dist', generatorName: 'scxml', machine: 'Form' }),
+      Path.join('dist', 'App.wirestate.Form.scxml')
+    )
+    Assert.throws(() => outputFileName('other/App.wirestate', { srcDir: 'statechart' }), /File must be located in the srcDir/)
+  })
+
+  it('should compile to SCXML', async function () {
+    const text = `
+@machine Form
+  submit -> Done!
+
+  Idle*
+    check -> Checking?
+  Checking?
+    valid -> Done!
+    invalid -> |
+  Done!
+
+@machine App
+  Editing&
+    Left
+      Form
+        @use Form as Entry
+    Right
+      open -> Other, Left
+  Other
+`
+
+    const documents = [
+      await compileFromText(text, 'App.wirestate', { generatorName: 'scxml', machine: 'Form' }),
+      await compileFromText(text, 'App.wirestate', { generatorName: 'scxml', machine: 'App' })
+    ]
+
+    Assert.ok(documents.every(d => d.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<scxml xmlns="http://www.w3.org/2005/07/scxml"')), 'Expected SCXML documents')
+    Assert.ok(documents.every(d => d.match(/<scxml /g).length === 1), 'Expected a single machine per document')
+    Assert.ok(documents[0].includes(' name="Form" initial="Form">'), 'Expected the selected machine')
+    Assert.ok(documents[1].includes(' name="App" initial="App">'), 'Expected the selected machine')
+    Assert.ok(documents[0].includes('<state id="Form" initial="Idle" wirestate:name="Form">'), 'Machine not generated as the top-level state')
+    Assert.ok(documents[0].includes('<state id="Checking_" wirestate:name="Checking?" wirestate:transient="true">'), 'Transient state not generated')
+    Assert.ok(documents[0].includes('<transition event="invalid"/>'), 'Forbidden transition not generated')
+    Assert.ok(documents[0].includes('<final id="Done_" wirestate:name="Done!"/>'), 'Final state not generated')
+    Assert.ok(documents[1].includes('<parallel id="Editing" wirestate:name="Editing">'), 'Parallel state not generated')
+    Assert.ok(documents[1].includes('<transition event="open" target="Other Left"/>'), 'Multiple targets not generated')
+    Assert.ok(documents[1].includes('<state id="Form" initial="Entry_1" wirestate:name="Form">'), '@use not inlined')
+    Assert.ok(documents[1].includes('<state id="Entry_1" initial="Entry_Idle_1" wirestate:name="Entry">'), '@use machine not namespaced')
+    Assert.ok(documents[1].includes('<transition event="submit" target="Entry_Done_1"/>'), '@use machine transitions not namespaced')
+
+    await Assert.rejects(
+      compileFromText(text, 'App.wirestate', { generatorName: 'scxml', machine: 'Other' }),
+      /Machine "Other" not found, expected one of: Form, App/
+    )
+    // A file with several machines is compiled once per machine
+    await Assert.rejects(
+      compileFromText(text, 'App.wirestate', { generatorName: 'scxml' }),
+      /An SCXML document holds a single machine, select one with the machine option: Form, App/
+    )
+    Assert.ok((await compileFromText('@machine Form\n  Idle\n', 'Form.wirestate', { generatorName: 'scxml' })).includes(' name="Form" initial="Form">'))
+    Assert.deepStrictEqual(await readMachineIds('fixtures/App.wirestate', { srcDir: 'fixtures' }), ['App'])
+  })
+
+  it('should compile to Mermaid state diagrams', async function () {
+    const text = `
+@machine Form
+  submit -> Done!
+
+  Idle*
+    check -> Checking?
+  Checking?
+    valid -> Done!
+    invalid -> |
+  Done!
+
+@machine App
+  Editing&
+    Left
+      Form
+        @use Form as Entry
+    Right
+      open -> Other, Left
+  Other
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'mermaid' })
+    const lines = sourceText.split('\n').map(line => line.trim())
+    const has = line => lines.includes(line)
+
+    Assert.ok(has('## Form') && has('## App'), 'Expected a section per machine')
+    Assert.strictEqual(lines.filter(line => line === 'stateDiagram-v2').length, 2, 'Expected a diagram per machine')
+    Assert.ok(has('[*] --> Idle'), 'Initial state not generated')
+    Assert.ok(has('state "Done!" as Done_') && has('Done_ --> [*]'), 'Final state not generated')
+    Assert.ok(has('class Checking_ transient'), 'Transient state not generated')
+    Assert.ok(has('Checking_ --> Checking_ : invalid (forbidden)'), 'Forbidden transition not generated')
+    Assert.ok(has('Form --> Done_ : submit'), 'Machine transition not generated')
+    Assert.ok(has('state Editing {') && has('--'), 'Parallel regions not generated')
+    Assert.ok(has('Right --> Other : open') && has('Right --> Left : open'), 'Multiple targets not generated')
+    Assert.ok(has('state "Entry" as Entry_1') && has('state Entry_1 {'), '@use machine not nested')
+    Assert.ok(has('Entry_1 --> Entry_Done_1 : submit'), '@use machine transition not generated')
+  })
+
+  it('should compile to Graphviz DOT', async function () {
+    const text = `
+@machine Form
+  submit -> Done!
+
+  Idle*
+    check -> Checking?
+  Checking?
+    valid -> Done!
+    invalid -> |
+  Done!
+
+@machine App
+  Editing&
+    Left
+      Form
+        @use Form as Entry
+    Right
+      open -> Other, Left
+  Other
+`
+
+    const sourceText = await compileFromText(text, 'App.wirestate', { generatorName: 'dot' })
+    const lines = sourceText.split('\n').map(line => line.trim())
+    const has = line => lines.includes(line)
+
+    Assert.ok(has('digraph "Form" {') && has('digraph "App" {'), 'Expected a digraph per machine')
+    Assert.ok(has('subgraph "cluster Form#machine" {'), 'Machine cluster not generated')
+    Assert.ok(has('"Form#machine#start" -> "Idle"'), 'Initial state not generated')
+    Assert.ok(has('"Checking?" [label="Checking?", shape=diamond]'), 'Transient state not generated')
+    Assert.ok(has('"Done!" [label="Done!", peripheries=2]'), 'Final state not generated')
+    Assert.ok(has('"Checking?" -> "Checking?" [label="invalid", style=dashed, arrowhead=tee]'), 'Forbidden transition not generated')
+    Assert.ok(has('"Form#machine" -> "Done!" [label="submit"]'), 'Machine transition not generated')
+    Assert.ok(has('subgraph "cluster Editing" {') && has('style="rounded,dashed"'), 'Parallel cluster not generated')
+    Assert.ok(has('"Right" -> "Other" [label="open"]'), 'Multiple targets not generated')
+    Assert.ok(has('"Right" -> "Left" [label="open", lhead="cluster Left"]'), 'Edge to a cluster not generated')
+    Assert.ok(has('subgraph "cluster Entry 1#machine" {') && has('"Entry Idle 1" -> "Entry Checking? 1" [label="check"]'), '@use machine not expanded')
+
+    const collapsedText = await compileFromText(text, 'App.wirestate', { generatorName: 'dot', collapseUses: true })
+    const collapsedLines = collapsedText.split('\n').map(line => line.trim())
+
+    Assert.ok(collapsedLines.includes('"Form" [label="Form\\n@use Form as Entry", style="rounded,bold"]'), '@use machine not collapsed')
+    Assert.ok(!collapsedText.includes('Entry Idle 1'), '@use machine not collapsed')
+  })
+
+  it('should compile to TypeScript declarations of the xstate module', async function () {
+    const text = `
+@machine Form
+  submit -> Done!
+
+  Idle*
+    check -> Checking?
+  Checking?
+    valid -> Done!
+  Done!
+
+@machine App
+  * -> Other
+  Editing
+    open -> Other
+    Form
+      @use Form as Entry
+  Other
+`
+
+    const declarations = await compileFromText(text, 'App.wirestate', { generatorName: 'typescript' })
+    const { diagnostics } = TypeScript.transpileModule(declarations, { fileName: 'App.wirestate.ts', reportDiagnostics: true })
+
+    Assert.deepStrictEqual(diagnostics.map(d => d.messageText), [], 'Invalid TypeScript generated')
+    Assert.ok(declarations.includes("'Form': 'submit' | 'check' | 'valid'\n"), 'Events not generated')
+    Assert.ok(declarations.includes("'App': 'open' | 'submit' | 'check' | 'valid'\n"), 'Events of embedded machines not generated')
+    Assert.ok(declarations.includes("'App': 'Editing' | 'Form' | 'Entry Idle 1' | 'Entry Checking? 1' | 'Entry Done! 1' | 'Other'\n"), 'State IDs not generated')
+
+    // Every callback key of the xstate module must be declared
+    const module = await compileFromText(text, 'App.wirestate', { generatorName: 'xstate' })
+    const callbackKeys = (module.match(/callback\('[^']+'\)/g) || []).map(s => s.slice(9, -1))
+    const callbackKeyType = declarations.split('\n').find(line => line.startsWith('export type CallbackKey = '))
+
+    Assert.ok(callbackKeys.length > 0)
+    Assert.deepStrictEqual(
+      callbackKeyType.replace('export type CallbackKey = ', '').split(' | ').sort(),
+      callbackKeys.filter((key, index) => callbackKeys.indexOf(key) === index).sort()
+    )
+  })
+  it('should declare the state IDs of machines embedded by several machines like the xstate module', async function () {
+    const text = `
+@import { Auth } from './Auth'
+
+@machine App
+  Login
+    @use Auth
+
+@machine Other
+  Login
+    @use Auth
+`
+
+    const options = { srcDir: 'fixtures', disableCallbacks: true }
+    const module = await compileFromText(text, 'App.wirestate', Object.assign({ generatorName: 'xstate' }, options))
+    const declarations = await compileFromText(text, 'App.wirestate', Object.assign({ generatorName: 'typescript' }, options))
+    const stateIds = declarations.split('\n').find(line => line.startsWith("  'Other': 'Login'"))
+
+    Assert.ok(module.includes('"id": "Auth Waiting For Input 2"'), 'Expected embedded machines to be counted per generation')
+    Assert.ok(stateIds.includes("'Auth Waiting For Input 2'"), 'State IDs do not match the xstate module')
+    Assert.ok(!stateIds.includes("'Auth Waiting For Input 1'"), 'State IDs do not match the xstate module')
+  })
 })
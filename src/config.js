@@ -0,0 +1,267 @@
+import * as FS from 'fs'
+import * as Path from 'path'
+import { promisify } from 'util'
+/* eslint-disable-next-line */
+import { CacheBase } from './cache-base'
+import { MemoryCache } from './memory-cache'
+import { FileCache } from './file-cache'
+import * as FileSystem from './file-system'
+
+const fsReadFile = promisify(FS.readFile)
+
+/**
+ * The names of project config files, in the order they're looked for.
+ */
+export const CONFIG_FILE_NAMES = ['wirestate.config.json', '.wirestaterc']
+
+/**
+ * @typedef {Object} Config
+ * @property {string} configFile The config file the config was read from or null
+ * @property {string[]} entries The wirestate files, or glob patterns, to compile
+ * @property {string} srcDir The directory where imported wirestate files can be found
+ * @property {string} cacheDir The directory where compiled files are saved between compiles or null
+ * @property {string} generator The name of the generator to use
+ * @property {Object<string, Object<string, any>>} generators The options of each generator (i.e. { xstate: { disableCallbacks: true } })
+ * @property {string} out The file the generated result is written to or null
+ * @property {string} outDir The directory the generated results are written to or null
+ * @property {string[]} actions The names of the action implementations passed to the xstate factory or null, referenced actions that aren't in the list are reported as warnings
+ * @property {boolean} strict Flag to report transitions for events that aren't declared as warnings
+ */
+
+/**
+ * @param {any} value
+ * @return {boolean}
+ */
+const isObject = value => {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Creates a config from the fields of a config file. Paths are resolved
+ * relative to the directory of the config file and are made relative to the
+ * current directory. Missing fields are set to their default value.
+ *
+ * @param {Object<string, any>} [fields]
+ * @param {Object} [options]
+ * @param {string} [options.configFile] The config file the fields were read from
+ * @return {Config}
+ */
+export function makeConfig (fields = {}, { configFile = null } = {}) {
+  const where = configFile ? ` in ${configFile}` : ''
+  const baseDir = configFile ? Path.dirname(configFile) : ''
+
+  if (!isObject(fields)) {
+    throw new Error(`Config must be an object${where}`)
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} defaultValue
+   * @return {any}
+   */
+  const readString = (name, defaultValue) => {
+    const value = fields[name]
+    if (value === undefined || value === null) return defaultValue
+    if (typeof value !== 'string') {
+      throw new Error(`Config field "${name}" must be a string${where}`)
+    }
+    return value
+  }
+
+  /** @param {string} fileName */
+  const resolvePath = fileName => {
+    return fileName === null
+      ? null
+      : Path.relative(process.cwd(), Path.resolve(baseDir, fileName))
+  }
+
+  const entries = fields.entries === undefined ? [] : fields.entries
+  if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+    throw new Error(`Config field "entries" must be a list of strings${where}`)
+  }
+
+  const actions = fields.actions === undefined ? null : fields.actions
+  if (actions !== null && (!Array.isArray(actions) || actions.some(action => typeof action !== 'string'))) {
+    throw new Error(`Config field "actions" must be a list of strings${where}`)
+  }
+
+  const strict = fields.strict === undefined ? false : fields.strict
+  if (typeof strict !== 'boolean') {
+    throw new Error(`Config field "strict" must be a boolean${where}`)
+  }
+
+  const generators = fields.generators === undefined ? {} : fields.generators
+  if (!isObject(generators) || Object.keys(generators).some(name => !isObject(generators[name]))) {
+    throw new Error(`Config field "generators" must map generator names to objects${where}`)
+  }
+
+  const config = {
+    configFile,
+    entries: entries.map(resolvePath),
+    srcDir: resolvePath(readString('srcDir', '')),
+    cacheDir: resolvePath(readString('cacheDir', null)),
+    generator: readString('generator', 'json'),
+    generators: Object.assign({}, generators),
+    out: resolvePath(readString('out', null)),
+    outDir: resolvePath(readString('outDir', null)),
+    actions: actions === null ? null : actions.slice(),
+    strict
+  }
+
+  if (config.out !== null && config.outDir !== null) {
+    throw new Error(`Config fields "out" and "outDir" cannot be used together${where}`)
+  }
+
+  return config
+}
+
+/**
+ * Overrides the fields of a config. Fields that are undefined or null keep
+ * the value of the config, generator options are merged per generator.
+ *
+ * @param {Config} config
+ * @param {Object<string, any>} overrides
+ * @return {Config}
+ */
+export function mergeConfig (config, overrides) {
+  const merged = Object.assign({}, config)
+
+  Object.keys(overrides).forEach(name => {
+    const value = overrides[name]
+
+    if (value === undefined || value === null) return
+
+    if (name === 'generators') {
+      merged.generators = Object.assign({}, config.generators)
+      Object.keys(value).forEach(generatorName => {
+        merged.generators[generatorName] = Object.assign(
+          {},
+          config.generators[generatorName],
+          value[generatorName]
+        )
+      })
+    } else {
+      merged[name] = value
+    }
+  })
+
+  return merged
+}
+
+/**
+ * Finds the project config file by looking in a directory and every directory
+ * above it. Resolves to null when there is no config file.
+ *
+ * @param {string} [dirName] The directory to start looking in [default current directory]
+ * @return {Promise<string>}
+ */
+export async function findConfigFile (dirName = process.cwd()) {
+  dirName = Path.resolve(dirName)
+
+  while (true) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const fileName = Path.join(dirName, name)
+      if (await FileSystem.fileExists(fileName)) {
+        return fileName
+      }
+    }
+
+    const parentDirName = Path.dirname(dirName)
+    if (parentDirName === dirName) return null
+    dirName = parentDirName
+  }
+}
+
+/**
+ * Loads the project config. When no config file is specified the config file
+ * is found by looking in the current directory and every directory above it.
+ * Resolves to null when there is no config file.
+ *
+ * Config files contain JSON:
+ *
+ * @example
+ * {
+ *   "srcDir": "statechart",
+ *   "entries": ["statechart/*.wirestate"],
+ *   "generator": "xstate",
+ *   "generators": { "xstate": { "disableCallbacks": true } },
+ *   "outDir": "src/statechart"
+ * }
+ * @param {string} [configFile]
+ * @return {Promise<Config>}
+ */
+export async function loadConfig (configFile = null) {
+  configFile = configFile === null
+    ? await findConfigFile()
+    : Path.resolve(configFile)
+
+  if (configFile === null) {
+    return null
+  }
+
+  const text = await fsReadFile(configFile, 'utf8')
+  let fields = null
+
+  try {
+    fields = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Config file ${configFile} is not valid JSON: ${error.message}`)
+  }
+
+  return makeConfig(fields, { configFile })
+}
+
+/**
+ * Resolves the options of a compile. Options that are specified take
+ * precedence over the config, options that are left out are read from the
+ * config. Only the options the generators know are passed to them.
+ *
+ * @param {Object} [options]
+ * @param {Config} [options.config]
+ * @param {string} [options.srcDir]
+ * @param {CacheBase} [options.cache]
+ * @param {string} [options.generatorName]
+ * @param {boolean} [options.disableCallbacks] Flag when generating XState to disable callback mapping
+ * @param {boolean} [options.timestamp] Flag when generating XState to stamp the date of the generation in the module
+ * @param {boolean} [options.collapseUses] Flag when generating DOT to draw embedded machines as a single state
+ * @param {string} [options.machine] The ID of the machine to generate when generating SCXML
+ * @param {string[]} [options.actions] The names of the provided action implementations
+ * @param {boolean} [options.strict] Flag to warn about transitions for events that aren't declared
+ * @param {(warning: Error) => any} [options.onWarning] Called with every warning found while analyzing
+ * @return {{ srcDir: string, cache: CacheBase, generatorName: string, generatorOptions: Object<string, any>, actions: string[], strict: boolean, onWarning: (warning: Error) => any }}
+ */
+export function resolveCompileOptions ({
+  config = makeConfig(),
+  srcDir = undefined,
+  cache = undefined,
+  generatorName = undefined,
+  actions = undefined,
+  strict = undefined,
+  onWarning = () => {},
+  disableCallbacks = undefined,
+  timestamp = undefined,
+  collapseUses = undefined,
+  machine = undefined
+} = {}) {
+  srcDir = srcDir === undefined ? config.srcDir : srcDir
+  generatorName = generatorName === undefined ? config.generator : generatorName
+  actions = actions === undefined ? config.actions : actions
+  strict = strict === undefined ? config.strict : strict
+
+  if (cache === undefined) {
+    cache = config.cacheDir === null
+      ? new MemoryCache()
+      : new FileCache({ srcDir, cacheDir: config.cacheDir })
+  }
+
+  const generatorOptions = Object.assign({}, config.generators[generatorName])
+  const options = { disableCallbacks, timestamp, collapseUses, machine }
+
+  Object.keys(options).forEach(name => {
+    if (options[name] !== undefined) {
+      generatorOptions[name] = options[name]
+    }
+  })
+
+  return { srcDir, cache, generatorName, generatorOptions, actions, strict, onWarning }
+}
@@ -0,0 +1,133 @@
+import * as Assert from 'assert'
+import * as FS from 'fs'
+import * as OS from 'os'
+import * as Path from 'path'
+import { makeConfig, mergeConfig, findConfigFile, loadConfig, resolveCompileOptions } from './config'
+import { compile } from './compile'
+import { MemoryCache } from './memory-cache'
+
+describe('a config', function () {
+  let dirName = ''
+
+  beforeEach(function () {
+    dirName = FS.mkdtempSync(Path.join(OS.tmpdir(), 'wirestate-'))
+    FS.mkdirSync(Path.join(dirName, 'statechart'))
+  })
+
+  afterEach(function () {
+    FS.readdirSync(dirName).forEach(file => {
+      const fileName = Path.join(dirName, file)
+      if (FS.statSync(fileName).isDirectory()) {
+        FS.readdirSync(fileName).forEach(file => FS.unlinkSync(Path.join(fileName, file)))
+        FS.rmdirSync(fileName)
+      } else {
+        FS.unlinkSync(fileName)
+      }
+    })
+    FS.rmdirSync(dirName)
+  })
+
+  it('should be found in the current directory or above', async function () {
+    Assert.strictEqual(await findConfigFile(Path.join(dirName, 'statechart')), null)
+
+    FS.writeFileSync(Path.join(dirName, '.wirestaterc'), '{}')
+    Assert.strictEqual(await findConfigFile(Path.join(dirName, 'statechart')), Path.join(dirName, '.wirestaterc'))
+
+    FS.writeFileSync(Path.join(dirName, 'wirestate.config.json'), '{}')
+    Assert.strictEqual(await findConfigFile(Path.join(dirName, 'statechart')), Path.join(dirName, 'wirestate.config.json'))
+  })
+
+  it('should resolve paths relative to the config file', async function () {
+    const configFile = Path.join(dirName, 'wirestate.config.json')
+    FS.writeFileSync(configFile, JSON.stringify({
+      srcDir: 'statechart',
+      entries: ['statechart/*.wirestate'],
+      generator: 'xstate',
+      generators: { xstate: { disableCallbacks: true } },
+      outDir: 'dist'
+    }))
+
+    const config = await loadConfig(configFile)
+    const relative = fileName => Path.relative(process.cwd(), Path.join(dirName, fileName))
+
+    Assert.strictEqual(config.configFile, configFile)
+    Assert.strictEqual(config.srcDir, relative('statechart'))
+    Assert.deepStrictEqual(config.entries, [relative('statechart/*.wirestate')])
+    Assert.strictEqual(config.outDir, relative('dist'))
+    Assert.strictEqual(config.out, null)
+    Assert.strictEqual(config.cacheDir, null)
+    Assert.deepStrictEqual(config.generators, { xstate: { disableCallbacks: true } })
+  })
+
+  it('should report invalid config files', async function () {
+    const configFile = Path.join(dirName, '.wirestaterc')
+
+    FS.writeFileSync(configFile, '{ srcDir: }')
+    await Assert.rejects(loadConfig(configFile), /is not valid JSON/)
+
+    FS.writeFileSync(configFile, '{ "srcDir": 1 }')
+    await Assert.rejects(loadConfig(configFile), /Config field "srcDir" must be a string/)
+
+    Assert.throws(() => makeConfig({ out: 'App.js', outDir: 'dist' }), /cannot be used together/)
+  })
+
+  it('should be overridden by options', async function () {
+    const config = makeConfig({
+      srcDir: 'statechart',
+      generator: 'xstate',
+      generators: { xstate: { disableCallbacks: true } }
+    })
+
+    const merged = mergeConfig(config, { srcDir: null, generator: 'json', generators: { json: { indent: 2 } } })
+    Assert.strictEqual(merged.srcDir, 'statechart')
+    Assert.strictEqual(merged.generator, 'json')
+    Assert.deepStrictEqual(merged.generators, { xstate: { disableCallbacks: true }, json: { indent: 2 } })
+
+    const cache = new MemoryCache()
+    const onWarning = () => {}
+    const resolved = resolveCompileOptions({ config })
+    Assert.deepStrictEqual(resolved, {
+      srcDir: 'statechart',
+      cache: resolved.cache,
+      generatorName: 'xstate',
+      generatorOptions: { disableCallbacks: true },
+      actions: null,
+      strict: false,
+      onWarning: resolved.onWarning
+    })
+    Assert.deepStrictEqual(resolveCompileOptions({ config, srcDir: '', cache, disableCallbacks: false, actions: ['save'], strict: true, onWarning }), {
+      srcDir: '',
+      cache,
+      generatorName: 'xstate',
+      generatorOptions: { disableCallbacks: false },
+      actions: ['save'],
+      strict: true,
+      onWarning
+    })
+    // Options that aren't generator options aren't passed to the generator
+    const unknownOptions = { config, collapseUses: true, indent: 2 }
+    Assert.deepStrictEqual(resolveCompileOptions(unknownOptions).generatorOptions, { disableCallbacks: true, collapseUses: true })
+    Assert.deepStrictEqual(resolveCompileOptions({ config: makeConfig({ actions: ['save'] }) }).actions, ['save'])
+    Assert.throws(() => makeConfig({ actions: 'save' }), /Config field "actions" must be a list of strings/)
+    Assert.strictEqual(resolveCompileOptions({ config: makeConfig({ strict: true }) }).strict, true)
+    Assert.throws(() => makeConfig({ strict: 'yes' }), /Config field "strict" must be a boolean/)
+  })
+
+  it('should be used when compiling', async function () {
+    FS.writeFileSync(Path.join(dirName, 'statechart', 'App.wirestate'), `@machine App
+  Idle
+`)
+    const config = makeConfig({
+      srcDir: 'statechart',
+      generator: 'xstate',
+      generators: { xstate: { disableCallbacks: true } }
+    }, { configFile: Path.join(dirName, 'wirestate.config.json') })
+
+    const text = await compile(Path.join(dirName, 'statechart', 'App.wirestate'), { config })
+    Assert.ok(text.includes("machines['App']"), 'Config generator not used')
+    Assert.ok(!text.includes('callback('), 'Config generator options not used')
+
+    const json = await compile(Path.join(dirName, 'statechart', 'App.wirestate'), { config, generatorName: 'json' })
+    Assert.ok(JSON.parse(json)['App.wirestate'], 'Generator option not used')
+  })
+})
@@ -0,0 +1,75 @@
+/* eslint-disable-next-line */
+import { CacheBase } from './cache-base'
+
+/**
+ * Reads the import graph of every wirestate file in the cache. Files that
+ * failed to load are left out of the graph since their imports are unknown.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<Map<string, string[]>>} Mapping of wirestate file to the wirestate files it imports
+ */
+export async function readImportGraph (cache) {
+  const graph = new Map()
+
+  await Promise.all(
+    cache.keys.map(async wireStateFile => {
+      try {
+        const scopeNode = await cache.get(wireStateFile)
+        if (scopeNode) {
+          graph.set(wireStateFile, scopeNode.imports.map(n => n.wireStateFile))
+        }
+      } catch (_) {
+        // The file failed to load, its errors are reported by whoever required it
+      }
+    })
+  )
+
+  return graph
+}
+
+/**
+ * Collects the specified wirestate files and every file they import, directly
+ * or indirectly. Files are listed depth-first in import order.
+ *
+ * @param {Map<string, string[]>} graph The import graph
+ * @param {string[]} wireStateFiles
+ * @return {string[]}
+ */
+export function collectDependencies (graph, wireStateFiles) {
+  const dependencies = []
+  const visit = wireStateFile => {
+    if (!dependencies.includes(wireStateFile)) {
+      const imports = graph.get(wireStateFile) || []
+      dependencies.push(wireStateFile)
+      imports.forEach(visit)
+    }
+  }
+
+  wireStateFiles.forEach(visit)
+
+  return dependencies
+}
+
+/**
+ * Collects the specified wirestate files and every file that imports them,
+ * directly or indirectly.
+ *
+ * @param {Map<string, string[]>} graph The import graph
+ * @param {string[]} wireStateFiles
+ * @return {string[]}
+ */
+export function collectDependents (graph, wireStateFiles) {
+  const dependents = []
+  const visit = wireStateFile => {
+    if (!dependents.includes(wireStateFile)) {
+      dependents.push(wireStateFile)
+      for (const [importer, imports] of graph) {
+        if (imports.includes(wireStateFile)) visit(importer)
+      }
+    }
+  }
+
+  wireStateFiles.forEach(visit)
+
+  return dependents
+}
@@ -0,0 +1,47 @@
+/**
+ * The number of milliseconds in each duration unit.
+ */
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+}
+
+/**
+ * The units a duration can be written in.
+ */
+export const DURATION_UNITS = Object.keys(UNITS)
+
+/**
+ * Determines if a delay is written as a duration (i.e. "300ms") rather than
+ * the name of a delay that is provided at runtime (i.e. "sessionTimeout").
+ * Durations start with a digit.
+ *
+ * @param {string} delay
+ * @return {boolean}
+ */
+export function isDuration (delay) {
+  return /^[0-9]/.test(delay.trim())
+}
+
+/**
+ * Parses a duration into milliseconds. Durations are a number followed by a
+ * unit (i.e. "300ms", "1.5s", "15m" or "2h"). Resolves to null when the
+ * duration is invalid.
+ *
+ * @example
+ * parseDuration('1.5s') // 1500
+ * parseDuration('300') // null
+ * @param {string} text
+ * @return {number}
+ */
+export function parseDuration (text) {
+  const match = /^([0-9]+(?:\.[0-9]+)?)([a-z]+)$/.exec(text.trim())
+
+  if (!match || !DURATION_UNITS.includes(match[2])) {
+    return null
+  }
+
+  return Math.round(parseFloat(match[1]) * UNITS[match[2]])
+}
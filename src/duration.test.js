@@ -0,0 +1,23 @@
+import * as Assert from 'assert'
+import { parseDuration, isDuration } from './duration'
+
+describe('a duration', function () {
+  it('should be parsed into milliseconds', function () {
+    Assert.strictEqual(parseDuration('300ms'), 300)
+    Assert.strictEqual(parseDuration('1.5s'), 1500)
+    Assert.strictEqual(parseDuration('15m'), 15 * 60 * 1000)
+    Assert.strictEqual(parseDuration('2h'), 2 * 60 * 60 * 1000)
+  })
+
+  it('should be invalid without a known unit', function () {
+    Assert.strictEqual(parseDuration('300'), null)
+    Assert.strictEqual(parseDuration('300sec'), null)
+    Assert.strictEqual(parseDuration('1.s'), null)
+  })
+
+  it('should be distinguished from delay names', function () {
+    Assert.ok(isDuration('300ms'))
+    Assert.ok(isDuration('300'))
+    Assert.ok(!isDuration('sessionTimeout'))
+  })
+})
@@ -8,6 +8,20 @@ export class SemanticError extends Error {
   }
 }
 
+/**
+ * A semantic problem that doesn't prevent compilation (i.e. an action that is
+ * referenced but not provided). Warnings are reported, never thrown.
+ */
+export class SemanticWarning extends Error {
+  constructor (message = 'Semantic warning', { fileName = 'Unknown', line = 0, column = 0 } = {}) {
+    super(message)
+    this.name = 'SemanticWarning'
+    this.fileName = fileName
+    this.line = line
+    this.column = column
+  }
+}
+
 export class SyntaxError extends Error {
   constructor (message = 'Syntax error', { fileName = 'Unknown', line = 0, column = 0 } = {}) {
     super(message)
@@ -27,3 +41,30 @@ export class LexicalError extends Error {
     this.column = column
   }
 }
+
+/**
+ * An error that carries several errors at once (i.e. every semantic error
+ * found while analyzing a file and its imports).
+ */
+export class ErrorList extends Error {
+  /**
+   * @param {Error[]} errors
+   */
+  constructor (errors = []) {
+    super(errors.map(error => error.message).join('\n\n') || 'Error list')
+    this.name = 'ErrorList'
+    this.errors = errors.slice()
+  }
+}
+
+/**
+ * Combines errors into a single error that can be thrown. A list with only one
+ * error results in that error so that callers expecting a single error keep
+ * working, otherwise an ErrorList is returned.
+ *
+ * @param {Error[]} errors
+ * @return {Error}
+ */
+export const combineErrors = (errors) => {
+  return errors.length === 1 ? errors[0] : new ErrorList(errors)
+}
@@ -1,7 +1,7 @@
 import * as Path from 'path'
 import * as FS from 'fs'
 import { promisify } from 'util'
-import { ScopeNode } from './ast-nodes'
+import { ScopeNode, UseDirectiveNode, walk, resolveImport } from './ast-nodes'
 import * as FileSystem from './file-system'
 import { requireWireStateFile } from './analyzer'
 import { MemoryCache } from './memory-cache'
@@ -22,7 +22,7 @@ export class FileCache extends MemoryCache {
   get cacheDir () { return this._cacheDir }
 
   async set (wireStateFile, promise) {
-    super.set(wireStateFile, promise)
+    await super.set(wireStateFile, promise)
     const scopeNode = await promise
     const text = JSON.stringify(scopeNode, null, 2)
     const fileName = Path.resolve(this.cacheDir, wireStateFile)
@@ -101,6 +101,14 @@ export class FileCache extends MemoryCache {
     const json = JSON.parse(text)
     const scopeNode = ScopeNode.fromJSON(json)
 
+    // Caches written before @use directives were bound to the machine they
+    // resolve to are bound the way the analyzer binds them
+    walk(scopeNode, node => {
+      if (node instanceof UseDirectiveNode && !node.binding) {
+        node.binding = bindUseDirective(scopeNode, node.machineId)
+      }
+    })
+
     await Promise.all(
       scopeNode.imports.map(async importNode => {
         const cacheHit = await this.has(importNode.wireStateFile)
@@ -112,3 +120,20 @@ export class FileCache extends MemoryCache {
     return scopeNode
   }
 }
+
+/**
+ * Binds a @use directive to a machine of its file, or to the machine it
+ * imports under the machine ID.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {string} machineId
+ * @return {{ wireStateFile: string, machineId: string }}
+ */
+function bindUseDirective (scopeNode, machineId) {
+  if (scopeNode.machines.some(machineNode => machineNode.id === machineId)) {
+    return { wireStateFile: scopeNode.wireStateFile, machineId }
+  }
+
+  const resolved = resolveImport(scopeNode, machineId)
+  return resolved ? { wireStateFile: resolved.importNode.wireStateFile, machineId: resolved.name } : null
+}
@@ -0,0 +1,93 @@
+import * as Assert from 'assert'
+import * as FS from 'fs'
+import * as OS from 'os'
+import * as Path from 'path'
+import { FileCache } from './file-cache'
+import { compile } from './compile'
+
+// The cache entries written for files with an import before imports could be
+// aliased
+const OLD_CACHE_ENTRIES = {
+  'App.wirestate': {
+    type: 'scope',
+    line: 1,
+    column: 0,
+    wireStateFile: 'App.wirestate',
+    imports: [
+      { type: 'import', line: 1, column: 0, wireStateFile: 'Auth.wirestate', machineIds: ['Auth'] }
+    ],
+    machines: [
+      {
+        type: 'machine',
+        line: 3,
+        column: 0,
+        id: 'App',
+        states: [
+          {
+            type: 'state',
+            line: 4,
+            column: 2,
+            id: 'Use Auth',
+            states: [],
+            transitions: [],
+            stateType: 'atomic',
+            initial: true,
+            parallel: false,
+            final: false,
+            indent: 2,
+            useDirective: { type: 'directive', line: 5, column: 4, directiveType: '@use', machineId: 'Auth' }
+          }
+        ],
+        transitions: []
+      }
+    ]
+  },
+  'Auth.wirestate': {
+    type: 'scope',
+    line: 1,
+    column: 0,
+    wireStateFile: 'Auth.wirestate',
+    imports: [],
+    machines: [
+      { type: 'machine', line: 1, column: 0, id: 'Auth', states: [], transitions: [] }
+    ]
+  }
+}
+
+describe('a file cache', function () {
+  let dirName = ''
+
+  beforeEach(function () {
+    dirName = FS.mkdtempSync(Path.join(OS.tmpdir(), 'wirestate-'))
+    FS.mkdirSync(Path.join(dirName, 'statechart'))
+    FS.mkdirSync(Path.join(dirName, '.wirestate'))
+  })
+
+  afterEach(function () {
+    ['statechart', '.wirestate'].forEach(dir => {
+      FS.readdirSync(Path.join(dirName, dir)).forEach(file => FS.unlinkSync(Path.join(dirName, dir, file)))
+      FS.rmdirSync(Path.join(dirName, dir))
+    })
+    FS.rmdirSync(dirName)
+  })
+
+  it('should load cache entries that only list the machineIds of imports', async function () {
+    FS.writeFileSync(Path.join(dirName, 'statechart', 'App.wirestate'), "@import { Auth } from './Auth'\n\n@machine App\n  Use Auth\n    @use Auth\n")
+    FS.writeFileSync(Path.join(dirName, 'statechart', 'Auth.wirestate'), '@machine Auth\n')
+    // Written after the source files so the cache entries aren't stale
+    Object.keys(OLD_CACHE_ENTRIES).forEach(wireStateFile => {
+      FS.writeFileSync(Path.join(dirName, '.wirestate', wireStateFile), JSON.stringify(OLD_CACHE_ENTRIES[wireStateFile]))
+    })
+
+    const cache = new FileCache({ srcDir: Path.join(dirName, 'statechart'), cacheDir: Path.join(dirName, '.wirestate') })
+    const scopeNode = await cache.get('App.wirestate')
+    const [importNode] = scopeNode.imports
+
+    Assert.deepStrictEqual(importNode.specifiers, [{ name: 'Auth', alias: null }])
+    Assert.deepStrictEqual(importNode.toJSON().machineIds, ['Auth'])
+    Assert.deepStrictEqual(scopeNode.machines[0].states[0].useDirective.binding, { wireStateFile: 'Auth.wirestate', machineId: 'Auth' })
+
+    const text = await compile(Path.join(dirName, 'statechart', 'App.wirestate'), { srcDir: Path.join(dirName, 'statechart'), cache, generatorName: 'xstate' })
+    Assert.ok(text.includes('"id": "Use Auth"'), 'Used machine not generated')
+  })
+})
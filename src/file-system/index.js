@@ -4,6 +4,8 @@ import { promisify } from 'util'
 
 const _fsStat = promisify(FS.stat)
 const _mkdir = promisify(FS.mkdir)
+const _readdir = promisify(FS.readdir)
+const _writeFile = promisify(FS.writeFile)
 
 /**
  * @param {string} fileName
@@ -35,3 +37,98 @@ export async function mkdirp (dirName) {
     }
   }
 }
+
+/**
+ * Writes a text file, creating its directory when it doesn't exist.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @return {Promise<void>}
+ */
+export async function writeFile (fileName, text) {
+  await mkdirp(Path.dirname(fileName))
+  await _writeFile(fileName, text, 'utf8')
+}
+
+/**
+ * Determines if a path contains glob wildcards (i.e. `*`, `**` or `?`).
+ *
+ * @param {string} pattern
+ * @return {boolean}
+ */
+export function isGlob (pattern) {
+  return /[*?]/.test(pattern)
+}
+
+/**
+ * Converts a glob pattern to a regular expression that matches paths with
+ * forward slashes. Supports `**` (any number of directories), `*` (anything
+ * but a slash) and `?` (a single character other than a slash).
+ *
+ * @param {string} pattern
+ * @return {RegExp}
+ */
+export function globToRegExp (pattern) {
+  let source = ''
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const c = pattern[i]
+
+    if (c === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (c === '*') {
+      source += '[^/]*'
+    } else if (c === '?') {
+      source += '[^/]'
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Finds the files matching a glob pattern. Matched file names are relative to
+ * the current directory, or absolute when the pattern is absolute.
+ *
+ * @param {string} pattern
+ * @return {Promise<string[]>}
+ */
+export async function glob (pattern) {
+  pattern = pattern.split(Path.sep).join('/')
+
+  // Only walk the directory that precedes the first wildcard
+  const segments = pattern.split('/')
+  const firstGlobIndex = segments.findIndex(isGlob)
+  const baseDir = segments.slice(0, firstGlobIndex).join('/') || '.'
+  const regExp = globToRegExp(pattern.replace(/^\.\//, ''))
+
+  const walk = async dirName => {
+    let entries = []
+
+    try {
+      entries = await _readdir(dirName, { withFileTypes: true })
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const fileNames = await Promise.all(entries.map(entry => {
+      const fileName = dirName === '.' ? entry.name : `${dirName}/${entry.name}`
+      if (entry.isDirectory()) return walk(fileName)
+      return regExp.test(fileName) ? [fileName] : []
+    }))
+
+    return fileNames.reduce((a, b) => a.concat(b), [])
+  }
+
+  const fileNames = await walk(baseDir.replace(/^\.\//, '') || '.')
+  return fileNames.sort()
+}
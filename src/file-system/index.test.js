@@ -0,0 +1,25 @@
+import * as Assert from 'assert'
+import { glob, globToRegExp } from './index'
+
+describe('a file system', function () {
+  it('should convert glob patterns to regular expressions', function () {
+    Assert.ok(globToRegExp('src/*.wirestate').test('src/App.wirestate'))
+    Assert.ok(!globToRegExp('src/*.wirestate').test('src/forms/Login.wirestate'))
+    Assert.ok(globToRegExp('src/**/*.wirestate').test('src/App.wirestate'))
+    Assert.ok(globToRegExp('src/**/*.wirestate').test('src/forms/Login.wirestate'))
+    Assert.ok(globToRegExp('App?.wirestate').test('App2.wirestate'))
+    Assert.ok(!globToRegExp('App.wirestate').test('Appxwirestate'))
+  })
+
+  it('should find the files matching a glob pattern', async function () {
+    Assert.deepStrictEqual(await glob('fixtures/*.wirestate'), [
+      'fixtures/App.wirestate',
+      'fixtures/Auth.wirestate'
+    ])
+    Assert.deepStrictEqual(await glob('./fixtures/**/A*.wirestate'), [
+      'fixtures/App.wirestate',
+      'fixtures/Auth.wirestate'
+    ])
+    Assert.deepStrictEqual(await glob('missing/*.wirestate'), [])
+  })
+})
@@ -0,0 +1,192 @@
+import { makeTokenizer } from './tokenizer'
+import { makeParser } from './parser'
+import { combineErrors } from './errors'
+
+// Operators that are attached to the token before them (i.e. Done!, a.b, x: y)
+const ATTACHED_OPERATORS = ['?', '!', '*', '&', '^', '.', ',', ':', ']']
+// Operators that are attached to the token after them (i.e. [guard], a.b)
+const OPENING_OPERATORS = ['[', '.']
+// Top-level directives that are grouped when they follow each other, other
+// top-level declarations are separated by a blank line
+const GROUPED_DIRECTIVES = ['@import', '@event']
+
+/**
+ * A line of a wirestate file, without its whitespace.
+ *
+ * @typedef {Object} SourceLine
+ * @prop {number} indent The number of spaces the line is indented by
+ * @prop {Object[]} tokens
+ */
+
+/**
+ * Formats the source text of a wirestate file into its canonical form. Only
+ * the spacing of the file changes, every token and comment is kept:
+ *
+ * - Tokens are separated by a single space, except for operators that are
+ *   attached to a name (i.e. Done!, a.b, [guard], x: y and a, b)
+ * - Braces are padded with a space (i.e. `@import { Auth } from './Auth'`)
+ * - Indentation is kept, since it's significant, and comments on their own
+ *   line are indented like the line they precede
+ * - Top-level declarations are separated by a blank line, except for
+ *   consecutive imports and event declarations, a state is never separated
+ *   from its first child and other blank lines are collapsed
+ * - Lines have no trailing whitespace and the file ends with a newline
+ *
+ * Text that doesn't parse is not formatted, the errors of the text are thrown
+ * instead like when compiling.
+ *
+ * @example
+ * format('@machine App\n  go->Done!\n  Done!\n')
+ * // '@machine App\n  go -> Done!\n  Done!\n'
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.wireStateFile] The file the text is from, used in the location of errors
+ * @return {string}
+ */
+export function format (text, { wireStateFile = '' } = {}) {
+  const tokenizer = makeTokenizer({ wireStateFile })
+  const parser = makeParser({ wireStateFile, recover: true })
+  const tokens = tokenizer.tokenize(text)
+
+  parser.parse(tokens)
+
+  if (parser.errors.length) {
+    throw combineErrors(parser.errors)
+  }
+
+  const formattedText = printLines(readLines(tokens))
+
+  // Formatting must never change the meaning of a file
+  if (signature(tokenizer.tokenize(formattedText)) !== signature(tokens)) {
+    throw new Error(`Formatting changed the tokens of ${wireStateFile || 'the text'}`)
+  }
+
+  return formattedText
+}
+
+/**
+ * Splits tokens into lines. Every line but the first starts with an indent
+ * token.
+ *
+ * @param {Object[]} tokens
+ * @return {SourceLine[]}
+ */
+function readLines (tokens) {
+  /** @type {SourceLine[]} */
+  const lines = [{ indent: 0, tokens: [] }]
+
+  tokens.forEach(token => {
+    if (token.type === 'indent') {
+      lines.push({ indent: token.value.length, tokens: [] })
+    } else if (token.type !== 'whitespace') {
+      lines[lines.length - 1].tokens.push(token)
+    }
+  })
+
+  return lines
+}
+
+/**
+ * @param {SourceLine[]} lines
+ * @return {string}
+ */
+function printLines (lines) {
+  const isComment = line => line.tokens[0].type === 'comment'
+  const isDeclaration = line => line.indent === 0 && line.tokens[0].type === 'directive'
+  const isGroupedWith = (line, other) => {
+    return GROUPED_DIRECTIVES.includes(line.tokens[0].value) &&
+      !!other && isDeclaration(other) && other.tokens[0].value === line.tokens[0].value
+  }
+
+  const nonBlankLines = lines.filter(line => line.tokens.length)
+  /** @type {string[]} */
+  const output = []
+  /** @type {SourceLine} */
+  let previousLine = null
+  /** @type {SourceLine} */
+  let previousCodeLine = null
+
+  nonBlankLines.forEach((line, index) => {
+    // Comments belong to the code line that follows them
+    const codeLine = nonBlankLines.slice(index).find(line => !isComment(line)) || null
+    const startsGroup = !previousLine || !isComment(previousLine)
+    const wasBlank = lines[lines.indexOf(line) - 1] && !lines[lines.indexOf(line) - 1].tokens.length
+    let blank = wasBlank
+
+    if (!previousLine) {
+      blank = false
+    } else if (startsGroup && codeLine && isDeclaration(codeLine)) {
+      blank = !isGroupedWith(codeLine, previousCodeLine)
+    } else if (startsGroup && codeLine && previousCodeLine && codeLine.indent > previousCodeLine.indent) {
+      blank = false
+    }
+
+    if (blank) {
+      output.push('')
+    }
+
+    const indent = isComment(line)
+      ? (codeLine || previousLine || line).indent
+      : line.indent
+
+    output.push(' '.repeat(indent) + printTokens(line.tokens))
+    previousLine = line
+    previousCodeLine = isComment(line) ? previousCodeLine : line
+  })
+
+  return output.length ? `${output.join('\n')}\n` : ''
+}
+
+/**
+ * Prints the tokens of a line separated by their canonical spacing.
+ *
+ * @param {Object[]} tokens
+ * @return {string}
+ */
+function printTokens (tokens) {
+  return tokens.reduce((text, token, index) => {
+    if (index === 0) return printToken(token)
+
+    const previous = tokens[index - 1]
+    const isAttached = token.type === 'operator' && ATTACHED_OPERATORS.includes(token.value)
+    const isOpened = previous.type === 'operator' && OPENING_OPERATORS.includes(previous.value)
+    const isEmptyBraces = previous.value === '{' && token.value === '}'
+    const space = token.type !== 'comment' && (isAttached || isOpened || isEmptyBraces) ? '' : ' '
+
+    return text + space + printToken(token)
+  }, '')
+}
+
+/**
+ * @param {Object} token
+ * @return {string}
+ */
+function printToken (token) {
+  if (token.type === 'identifier') {
+    return token.value
+  } else if (token.type === 'comment') {
+    return token.raw.trimRight()
+  } else if (token.type === 'string') {
+    // The raw text of a string token has its escapes resolved
+    const quote = token.raw[0]
+    const escapes = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f', [quote]: `\\${quote}` }
+    return quote + token.value.replace(/[\\\n\r\t\b\f"']/g, c => escapes[c] || c) + quote
+  } else {
+    return token.raw
+  }
+}
+
+/**
+ * Describes the meaningful tokens of a file, two texts with the same
+ * signature only differ in their spacing.
+ *
+ * @param {Object[]} tokens
+ * @return {string}
+ */
+function signature (tokens) {
+  return JSON.stringify(
+    tokens
+      .filter(token => token.type !== 'whitespace' && token.type !== 'indent')
+      .map(token => [token.type, token.type === 'comment' ? token.value.trimRight() : token.value])
+  )
+}
@@ -0,0 +1,68 @@
+import * as Assert from 'assert'
+import { format } from './formatter'
+
+const UNFORMATTED = `
+
+@import {Auth as Login,Other} from './Auth'
+@import { X }   from "x\\"y"
+@event submit {name:string, remember? :boolean}
+@event empty { }
+# The app
+@machine App
+    # <- cancel
+
+
+  go   ->Editing,Done! /save,close   # trailing
+  check [ isValid ]  ->Done!
+
+
+
+  Editing*
+
+    @use   Login
+  Done!  `
+
+const FORMATTED = `@import { Auth as Login, Other } from './Auth'
+@import { X } from "x\\"y"
+
+@event submit { name: string, remember?: boolean }
+@event empty {}
+
+# The app
+@machine App
+  # <- cancel
+
+  go -> Editing, Done! / save, close # trailing
+  check [isValid] -> Done!
+
+  Editing*
+    @use Login
+  Done!
+`
+
+describe('a formatter', function () {
+  it('should format a file in its canonical form', function () {
+    Assert.strictEqual(format(UNFORMATTED), FORMATTED)
+  })
+
+  it('should not change a formatted file', function () {
+    Assert.strictEqual(format(FORMATTED), FORMATTED)
+    Assert.strictEqual(format(''), '')
+  })
+
+  it('should keep comments with the line they precede', function () {
+    const text = '@machine App\n  Idle*\n# Waits for input\n      # on two lines\n    Waiting\n  Done!\n'
+
+    Assert.strictEqual(
+      format(text),
+      '@machine App\n  Idle*\n    # Waits for input\n    # on two lines\n    Waiting\n  Done!\n'
+    )
+  })
+
+  it('should throw the errors of a file that does not parse', function () {
+    Assert.throws(
+      () => format('@machine App\n  go ->\n', { wireStateFile: 'App.wirestate' }),
+      error => error.name === 'SyntaxError' && error.fileName === 'App.wirestate' && error.line === 2
+    )
+  })
+})
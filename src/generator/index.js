@@ -2,6 +2,20 @@
 import { CacheBase } from '../cache-base'
 import { jsonGenerator } from './internal/json-generator'
 import { xstateGenerator } from './internal/xstate'
+import { scxmlGenerator } from './internal/scxml-generator'
+import { mermaidGenerator } from './internal/mermaid-generator'
+import { dotGenerator } from './internal/dot-generator'
+import { typescriptGenerator } from './internal/typescript-generator'
+
+// The file extension of the output of each generator
+const FILE_EXTENSIONS = {
+  json: '.json',
+  xstate: '.js',
+  scxml: '.scxml',
+  mermaid: '.md',
+  dot: '.dot',
+  typescript: '.d.ts'
+}
 
 export function makeGenerator () {
   /**
@@ -9,18 +23,39 @@ export function makeGenerator () {
    * @param {Object} [options]
    * @param {string} [options.generatorName]
    * @param {boolean} [options.disableCallbacks] Flag when generating XState to disable callback mapping
+   * @param {boolean} [options.timestamp] Flag when generating XState to stamp the date of the generation in the module
+   * @param {boolean} [options.collapseUses] Flag when generating DOT to draw embedded machines as a single state
+   * @param {string} [options.machine] The ID of the machine to generate when generating SCXML
    * @return {Promise<string>}
    */
-  const generate = async (cache, { generatorName = 'json', disableCallbacks = false } = {}) => {
+  const generate = async (cache, { generatorName = 'json', disableCallbacks = false, timestamp = false, collapseUses = false, machine = undefined } = {}) => {
     if (!generatorName) {
       throw new Error('Generator name must be provided')
     }
 
     if (generatorName === 'json') return jsonGenerator(cache)
-    if (generatorName === 'xstate') return xstateGenerator(cache, { disableCallbacks })
+    if (generatorName === 'xstate') return xstateGenerator(cache, { disableCallbacks, timestamp })
+    if (generatorName === 'scxml') return scxmlGenerator(cache, { machine })
+    if (generatorName === 'mermaid') return mermaidGenerator(cache)
+    if (generatorName === 'dot') return dotGenerator(cache, { collapseUses })
+    if (generatorName === 'typescript') return typescriptGenerator(cache)
 
     throw new Error(`Generator "${generatorName}" not found`)
   }
 
-  return { generate }
+  /**
+   * Retrieves the file extension of the output of a generator.
+   *
+   * @param {string} generatorName
+   * @return {string}
+   */
+  const fileExtension = (generatorName = 'json') => {
+    if (!Object.prototype.hasOwnProperty.call(FILE_EXTENSIONS, generatorName)) {
+      throw new Error(`Generator "${generatorName}" not found`)
+    }
+
+    return FILE_EXTENSIONS[generatorName]
+  }
+
+  return { generate, fileExtension }
 }
@@ -0,0 +1,248 @@
+/* eslint-disable-next-line */
+import { CacheBase } from '../../cache-base'
+// eslint-disable-next-line
+import { expandMachine, readMachines, transitionLabel, actionLabels, historyLabel, ExpandedMachine, ExpandedState, ExpandedTransition } from './expand-machine'
+
+/**
+ * Generates a Graphviz digraph for every machine in the cache.
+ *
+ * - The machine, compound states and parallel states are clusters, parallel
+ *   states are drawn with a dashed border
+ * - Every cluster has an invisible anchor node so that transitions from and to
+ *   the cluster can be drawn (i.e. with compound=true, ltail and lhead)
+ * - Initial states (*) are entered from a start point in their parent
+ * - Final states (!) have a double border and transient states (?) are diamonds
+ * - History states (^ and ^^) are circles labelled "H" or "H*" like in UML
+ * - Transitions with several targets have an edge for every target
+ * - Forbidden transitions are dashed loops that end in a tee
+ * - Guarded transitions are labelled "event [guard]" and transitions with
+ *   actions are labelled "event / action"
+ * - The description (## doc comment) and the @entry and @exit actions are
+ *   listed under the state name, the description of a transition is the
+ *   tooltip of its edges
+ * - Machines embedded with @use are expanded into clusters, unless the
+ *   collapseUses option is set in which case the state is drawn as a single
+ *   node that names the embedded machine
+ *
+ * @param {CacheBase} cache
+ * @param {Object} [options]
+ * @param {boolean} [options.collapseUses] Flag to draw embedded machines as a single state
+ * @return {Promise<string>}
+ */
+export async function dotGenerator (cache, { collapseUses = false } = {}) {
+  const machineNodes = await readMachines(cache)
+  const graphs = await Promise.all(machineNodes.map(async machineNode => {
+    return renderGraph(await expandMachine(machineNode, { cache }), { collapseUses })
+  }))
+
+  return graphs.join('\n')
+}
+
+/**
+ * @typedef {Object} GraphContext
+ * @prop {string[]} lines
+ * @prop {Array<() => string>} edges Edges are rendered after all nodes since they depend on the clusters
+ * @prop {Map<string, string[]>} clusters Mapping of cluster key to the keys of the nodes in the cluster
+ * @prop {boolean} collapseUses
+ */
+
+/**
+ * @param {ExpandedMachine} machine
+ * @param {Object} options
+ * @param {boolean} options.collapseUses
+ * @return {string}
+ */
+function renderGraph (machine, { collapseUses }) {
+  /** @type {GraphContext} */
+  const context = {
+    lines: [
+      `digraph ${quote(machine.id)} {`,
+      '  compound=true',
+      '  node [shape=box, style=rounded, fontname="Helvetica"]',
+      '  edge [fontname="Helvetica", fontsize=10]'
+    ],
+    edges: [],
+    clusters: new Map(),
+    collapseUses
+  }
+
+  renderMachine(machine, context, { depth: 1, ancestors: [] })
+  context.lines.push(...context.edges.map(edge => `  ${edge()}`), '}', '')
+
+  return context.lines.join('\n')
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @param {GraphContext} context
+ * @param {Object} options
+ * @param {number} options.depth
+ * @param {string[]} options.ancestors The keys of the clusters containing the machine
+ */
+function renderMachine (machine, context, { depth, ancestors }) {
+  const { lines } = context
+  const indent = '  '.repeat(depth)
+  const key = `${machine.key}#machine`
+
+  lines.push(`${indent}subgraph ${quote(`cluster ${key}`)} {`)
+  lines.push(`${indent}  label=${quote(label(machine.id, machine))}`)
+  renderCluster(key, machine.states, context, { depth: depth + 1, ancestors, parallel: false })
+  lines.push(`${indent}}`)
+
+  machine.transitions.forEach(transition => {
+    renderTransition(key, transition, context)
+  })
+}
+
+/**
+ * Renders the anchor, start point and child states of a cluster.
+ *
+ * @param {string} key
+ * @param {ExpandedState[]} states
+ * @param {GraphContext} context
+ * @param {Object} options
+ * @param {number} options.depth
+ * @param {string[]} options.ancestors
+ * @param {boolean} options.parallel
+ */
+function renderCluster (key, states, context, { depth, ancestors, parallel }) {
+  const { lines, edges, clusters } = context
+  const indent = '  '.repeat(depth)
+  const initialState = states.find(state => state.initial)
+
+  clusters.set(key, [])
+  ancestors.concat(key).forEach(ancestor => clusters.get(ancestor).push(key))
+  lines.push(`${indent}${quote(key)} [shape=point, style=invis, width=0, height=0, label=""]`)
+
+  if (initialState && !parallel) {
+    lines.push(`${indent}${quote(`${key}#start`)} [shape=point, width=0.15, height=0.15, label=""]`)
+    edges.push(() => edge(`${key}#start`, initialState.key, [], context))
+  }
+
+  states.forEach(state => {
+    renderState(state, context, { depth, ancestors: ancestors.concat(key) })
+  })
+}
+
+/**
+ * @param {ExpandedState} state
+ * @param {GraphContext} context
+ * @param {Object} options
+ * @param {number} options.depth
+ * @param {string[]} options.ancestors The keys of the clusters containing the state
+ */
+function renderState (state, context, { depth, ancestors }) {
+  const { lines, clusters, collapseUses } = context
+  const indent = '  '.repeat(depth)
+  const machine = collapseUses ? null : state.machine
+
+  if (state.states.length || machine) {
+    lines.push(`${indent}subgraph ${quote(`cluster ${state.key}`)} {`)
+    lines.push(`${indent}  label=${quote(label(state.id, state))}`)
+    if (state.parallel) {
+      lines.push(`${indent}  style="rounded,dashed"`)
+    } else {
+      lines.push(`${indent}  style=rounded`)
+    }
+    renderCluster(state.key, state.states, context, { depth: depth + 1, ancestors, parallel: state.parallel })
+    if (machine) {
+      renderMachine(machine, context, { depth: depth + 1, ancestors: ancestors.concat(state.key) })
+    }
+    lines.push(`${indent}}`)
+  } else if (state.stateType === 'history') {
+    ancestors.forEach(ancestor => clusters.get(ancestor).push(state.key))
+    const tooltip = [state.id, state.description].filter(Boolean).join('\n')
+    lines.push(`${indent}${quote(state.key)} [label=${quote(historyLabel(state))}, tooltip=${quote(tooltip)}, shape=circle]`)
+  } else {
+    const { useDirective } = state.stateNode
+    const name = useDirective
+      ? `${state.id}\n@use ${useDirective.machineId}${useDirective.alias ? ` as ${useDirective.alias}` : ''}`
+      : state.id
+    const attributes = [`label=${quote(label(name, state))}`]
+
+    if (state.final) attributes.push('peripheries=2')
+    if (state.stateType === 'transient') attributes.push('shape=diamond')
+    if (useDirective) attributes.push('style="rounded,bold"')
+
+    ancestors.forEach(ancestor => clusters.get(ancestor).push(state.key))
+    lines.push(`${indent}${quote(state.key)} [${attributes.join(', ')}]`)
+  }
+
+  state.transitions.forEach(transition => {
+    renderTransition(state.key, transition, context)
+  })
+}
+
+/**
+ * @param {string} sourceKey
+ * @param {ExpandedTransition} transition
+ * @param {GraphContext} context
+ */
+function renderTransition (sourceKey, transition, context) {
+  const attributes = [`label=${quote(transitionLabel(transition))}`]
+
+  if (transition.description) {
+    attributes.push(`tooltip=${quote(transition.description)}`)
+  }
+
+  if (transition.isForbidden) {
+    context.edges.push(() => `${quote(sourceKey)} -> ${quote(sourceKey)} [${attributes.concat('style=dashed', 'arrowhead=tee').join(', ')}]`)
+  } else {
+    transition.targets.forEach(targetKey => {
+      context.edges.push(() => edge(sourceKey, targetKey, attributes, context))
+    })
+  }
+}
+
+/**
+ * Labels a state or a machine with its name, its description and its actions
+ * on separate lines.
+ *
+ * @param {string} name
+ * @param {ExpandedState|ExpandedMachine} stateOrMachine
+ * @return {string}
+ */
+function label (name, stateOrMachine) {
+  return [name, stateOrMachine.description, ...actionLabels(stateOrMachine)]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * Renders an edge. Edges from or to a cluster are clipped at the border of the
+ * cluster, unless one end of the edge is inside the cluster of the other.
+ *
+ * @param {string} sourceKey
+ * @param {string} targetKey
+ * @param {string[]} attributes
+ * @param {GraphContext} context
+ * @return {string}
+ */
+function edge (sourceKey, targetKey, attributes, { clusters }) {
+  const contains = (clusterKey, key) => {
+    return clusters.has(clusterKey) && clusters.get(clusterKey).includes(key)
+  }
+
+  attributes = attributes.slice()
+
+  if (clusters.has(sourceKey) && !contains(sourceKey, targetKey)) {
+    attributes.push(`ltail=${quote(`cluster ${sourceKey}`)}`)
+  }
+
+  if (clusters.has(targetKey) && !contains(targetKey, sourceKey)) {
+    attributes.push(`lhead=${quote(`cluster ${targetKey}`)}`)
+  }
+
+  const attributeList = attributes.length ? ` [${attributes.join(', ')}]` : ''
+  return `${quote(sourceKey)} -> ${quote(targetKey)}${attributeList}`
+}
+
+/**
+ * Quotes a DOT ID.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function quote (text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+}
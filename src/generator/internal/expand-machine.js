@@ -0,0 +1,312 @@
+/* eslint-disable no-unused-vars */
+import { ScopeNode, MachineNode, StateNode, TransitionNode, EventNode, qualifyMachineId } from '../../ast-nodes'
+import { CacheBase } from '../../cache-base'
+/* eslint-enable no-unused-vars */
+
+/**
+ * @typedef {Object} ExpandedTransition
+ * @prop {string} event
+ * @prop {string} delay The duration or the name of the delay of a delayed transition or null
+ * @prop {string} cond The name of the guard of the transition or null
+ * @prop {string[]} actions The names of the actions of the transition
+ * @prop {string[]} targets The keys of the target states
+ * @prop {boolean} isForbidden
+ * @prop {string} description The doc comment of the transition or null
+ * @prop {TransitionNode} transitionNode
+ */
+
+/**
+ * @typedef {Object} ExpandedState
+ * @prop {string} key The key of the state, unique within the expanded machine
+ * @prop {string} id The state ID
+ * @prop {string} stateType
+ * @prop {string} history The type of a history state, "shallow" or "deep", or null
+ * @prop {boolean} initial
+ * @prop {boolean} final
+ * @prop {boolean} parallel
+ * @prop {string[]} entryActions
+ * @prop {string[]} exitActions
+ * @prop {ExpandedState[]} states
+ * @prop {ExpandedTransition[]} transitions
+ * @prop {ExpandedMachine} machine The machine embedded in the state or null
+ * @prop {string} description The doc comment of the state or null
+ * @prop {StateNode} stateNode
+ */
+
+/**
+ * @typedef {Object} ExpandedMachine
+ * @prop {string} key The key of the machine, unique within the expanded machine
+ * @prop {string} id The machine ID, or the alias the machine is embedded with
+ * @prop {string[]} entryActions
+ * @prop {string[]} exitActions
+ * @prop {ExpandedState[]} states
+ * @prop {ExpandedTransition[]} transitions
+ * @prop {string} description The doc comment of the machine or null
+ * @prop {MachineNode} machineNode
+ */
+
+/**
+ * Expands a machine into a tree where every machine embedded with a @use
+ * directive is inlined. Every state and embedded machine gets a key that is
+ * unique within the tree and transition targets refer to these keys.
+ *
+ * States of the expanded machine are keyed by their ID and states of embedded
+ * machines are keyed by "{machine ID} {state ID} {n}" where n counts the
+ * number of times a machine has been embedded with the same machine ID or
+ * alias. By default embedded machines are counted per expanded machine, the
+ * xstate generator counts them for the whole generation instead. Keys are the
+ * xstate state IDs only when every machine of the cache is expanded in the
+ * order of readMachines() with the same counters.
+ *
+ * @param {MachineNode} machineNode
+ * @param {Object} options
+ * @param {CacheBase} options.cache
+ * @param {Map<string, number>} [options.counters] The number of times each machine ID or alias has been embedded, updated while expanding
+ * @return {Promise<ExpandedMachine>}
+ */
+export async function expandMachine (machineNode, { cache, counters = new Map() }) {
+  /**
+   * @param {MachineNode} machineNode
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {number} options.counter
+   * @return {Promise<ExpandedMachine>}
+   */
+  const visitMachineNode = async (machineNode, { name, counter }) => {
+    /** @param {string} id */
+    const key = id => {
+      return counter ? `${name} ${id} ${counter}` : id
+    }
+
+    /**
+     * @param {TransitionNode} transitionNode
+     * @return {ExpandedTransition}
+     */
+    const visitTransitionNode = transitionNode => {
+      return {
+        event: transitionNode.event,
+        delay: transitionNode.delay,
+        cond: transitionNode.cond,
+        actions: transitionNode.actions.slice(),
+        targets: transitionNode.isForbidden ? [] : transitionNode.targets.map(key),
+        isForbidden: transitionNode.isForbidden,
+        description: transitionNode.description,
+        transitionNode
+      }
+    }
+
+    /**
+     * @param {StateNode} stateNode
+     * @return {Promise<ExpandedState>}
+     */
+    const visitStateNode = async stateNode => {
+      let machine = null
+
+      if (stateNode.useDirective) {
+        const { machineId, alias, binding } = stateNode.useDirective
+        const usedMachineNode = await cache.findMachine(binding.wireStateFile, binding.machineId)
+        const name = alias || machineId
+        // Counted by the name that prefixes the keys, so that different
+        // machines embedded with the same name don't get the same keys
+        const n = (counters.get(name) || 0) + 1
+
+        counters.set(name, n)
+        machine = await visitMachineNode(usedMachineNode, { name, counter: n })
+      }
+
+      return {
+        key: key(stateNode.id),
+        id: stateNode.id,
+        stateType: stateNode.stateType,
+        history: stateNode.history,
+        initial: stateNode.initial,
+        final: stateNode.final,
+        parallel: stateNode.parallel,
+        entryActions: stateNode.entryActions,
+        exitActions: stateNode.exitActions,
+        states: await mapSerial(stateNode.states, visitStateNode),
+        transitions: stateNode.transitions.map(visitTransitionNode),
+        machine,
+        description: stateNode.description,
+        stateNode
+      }
+    }
+
+    return {
+      key: counter ? `${name} ${counter}` : name,
+      id: name,
+      entryActions: machineNode.entryActions,
+      exitActions: machineNode.exitActions,
+      states: await mapSerial(machineNode.states, visitStateNode),
+      transitions: machineNode.transitions.map(visitTransitionNode),
+      description: machineNode.description,
+      machineNode
+    }
+  }
+
+  return visitMachineNode(machineNode, { name: machineNode.id, counter: 0 })
+}
+
+/**
+ * Describes a transition without its targets, the way it's written in a
+ * wirestate file (i.e. "submit [isValid] / save, close").
+ *
+ * @param {ExpandedTransition} transition
+ * @return {string}
+ */
+export function transitionLabel (transition) {
+  return [
+    transition.event,
+    transition.cond ? ` [${transition.cond}]` : '',
+    transition.actions.length ? ` / ${transition.actions.join(', ')}` : ''
+  ].join('')
+}
+
+/**
+ * Describes the @entry and @exit actions of a state or machine, one line per
+ * directive (i.e. "entry / focus").
+ *
+ * @param {ExpandedState|ExpandedMachine} state
+ * @return {string[]}
+ */
+export function actionLabels (state) {
+  return [
+    state.entryActions.length ? `entry / ${state.entryActions.join(', ')}` : '',
+    state.exitActions.length ? `exit / ${state.exitActions.join(', ')}` : ''
+  ].filter(Boolean)
+}
+
+/**
+ * Describes a history state the way it's drawn in UML, "H" for a shallow
+ * history state and "H*" for a deep history state.
+ *
+ * @param {ExpandedState} state
+ * @return {string}
+ */
+export function historyLabel (state) {
+  return state.history === 'deep' ? 'H*' : 'H'
+}
+
+/**
+ * Maps the items of an array one after the other, so that embedded machines
+ * are counted in the order they appear in the source.
+ *
+ * @template T, U
+ * @param {T[]} items
+ * @param {(item: T) => Promise<U>} fn
+ * @return {Promise<U[]>}
+ */
+export async function mapSerial (items, fn) {
+  const results = []
+  for (const item of items) {
+    results.push(await fn(item))
+  }
+  return results
+}
+
+/**
+ * Retrieves the scope of every wirestate file in the cache, ordered by file
+ * name so that the output doesn't depend on the order the files were loaded.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<ScopeNode[]>}
+ */
+export async function readScopes (cache) {
+  const wireStateFiles = cache.keys.slice().sort()
+  return Promise.all(wireStateFiles.map(wireStateFile => cache.get(wireStateFile)))
+}
+
+/**
+ * Retrieves every machine of every wirestate file in the cache, ordered by
+ * file name and then in the order they're declared.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<MachineNode[]>}
+ */
+export async function readMachines (cache) {
+  const scopeNodes = await readScopes(cache)
+
+  return scopeNodes.reduce((machineNodes, scopeNode) => {
+    return machineNodes.concat(scopeNode.machines)
+  }, [])
+}
+
+/**
+ * Retrieves every event declared in every wirestate file in the cache, ordered
+ * by file name and then in the order they're declared.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<EventNode[]>}
+ */
+export async function readEvents (cache) {
+  const scopeNodes = await readScopes(cache)
+
+  return scopeNodes.reduce((eventNodes, scopeNode) => {
+    return eventNodes.concat(scopeNode.events)
+  }, [])
+}
+
+/**
+ * Determines the keys every machine in the cache is exposed by in generated
+ * modules. Every machine is keyed by its qualified ID (i.e.
+ * "forms/Login.wirestate#Form") and by an unqualified name when no other
+ * machine claims the name first:
+ * - the machines of the files that aren't imported by another file (i.e. the
+ *   compiled file) claim their ID, then the local name of every machine they
+ *   import, which is its alias when it's imported with one
+ * - every other machine claims its ID
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<Map<string, string[]>>} Mapping of qualified machine ID to the keys of the machine, the qualified ID first
+ */
+export async function readMachineKeys (cache) {
+  const scopeNodes = await readScopes(cache)
+  /** @type {Map<string, string[]>} */
+  const machineKeys = new Map()
+  /** @type {Set<string>} */
+  const claimedNames = new Set()
+
+  /**
+   * @param {string} wireStateFile
+   * @param {string} machineId
+   * @param {string} name
+   */
+  const claim = (wireStateFile, machineId, name) => {
+    const keys = machineKeys.get(qualifyMachineId(wireStateFile, machineId))
+
+    if (keys && !claimedNames.has(name)) {
+      claimedNames.add(name)
+      keys.push(name)
+    }
+  }
+
+  scopeNodes.forEach(scopeNode => {
+    scopeNode.machines.forEach(machineNode => {
+      const qualifiedId = qualifyMachineId(scopeNode.wireStateFile, machineNode.id)
+      machineKeys.set(qualifiedId, [qualifiedId])
+    })
+  })
+
+  const importedFiles = scopeNodes.reduce((files, scopeNode) => {
+    return files.concat(scopeNode.imports.map(n => n.wireStateFile))
+  }, [])
+
+  scopeNodes.filter(scopeNode => !importedFiles.includes(scopeNode.wireStateFile)).forEach(scopeNode => {
+    scopeNode.machines.forEach(machineNode => {
+      claim(scopeNode.wireStateFile, machineNode.id, machineNode.id)
+    })
+    scopeNode.imports.forEach(importNode => {
+      importNode.specifiers.forEach(specifier => {
+        claim(importNode.wireStateFile, specifier.name, specifier.alias || specifier.name)
+      })
+    })
+  })
+
+  scopeNodes.forEach(scopeNode => {
+    scopeNode.machines.forEach(machineNode => {
+      claim(scopeNode.wireStateFile, machineNode.id, machineNode.id)
+    })
+  })
+
+  return machineKeys
+}
@@ -0,0 +1,43 @@
+/**
+ * @typedef {Object} IdRegistry
+ * @prop {(key: string, kind?: string) => string} get Retrieves the ID of a state or machine key
+ */
+
+/**
+ * Factory that produces a registry that assigns every state and machine key a
+ * unique ID that is valid in the generated format. Machines and states are
+ * keyed separately since a state can have the same ID as its machine.
+ *
+ * @example
+ * const ids = makeIdRegistry(key => key.replace(/\W+/g, '_'))
+ * ids.get('A B') // A_B
+ * ids.get('A_B') // A_B_2
+ * ids.get('A B') // A_B
+ * @param {(key: string) => string} sanitize Transforms a key into a valid ID
+ * @return {IdRegistry}
+ */
+export function makeIdRegistry (sanitize) {
+  /** @type {Map<string, string>} */
+  const idsByKey = new Map()
+  /** @type {Set<string>} */
+  const ids = new Set()
+
+  return {
+    get (key, kind = 'state') {
+      if (idsByKey.has(`${kind} ${key}`)) {
+        return idsByKey.get(`${kind} ${key}`)
+      }
+
+      // Sanitizing can make different keys the same (i.e. "A B" and "A_B")
+      const baseId = sanitize(key)
+      let id = baseId
+      for (let n = 2; ids.has(id); n += 1) {
+        id = `${baseId}_${n}`
+      }
+
+      idsByKey.set(`${kind} ${key}`, id)
+      ids.add(id)
+      return id
+    }
+  }
+}
@@ -0,0 +1,235 @@
+/* eslint-disable-next-line */
+import { CacheBase } from '../../cache-base'
+// eslint-disable-next-line
+import { expandMachine, readMachines, transitionLabel, actionLabels, historyLabel, ExpandedMachine, ExpandedState, ExpandedTransition } from './expand-machine'
+// eslint-disable-next-line
+import { makeIdRegistry, IdRegistry } from './id-registry'
+
+/**
+ * Generates Markdown with a Mermaid stateDiagram-v2 for every machine in the
+ * cache, each under a heading with the machine ID.
+ *
+ * - The machine is a composite state so that machine transitions can be drawn
+ * - Compound states and machines embedded with @use are nested composites
+ * - Parallel states separate their child states with "--" regions
+ * - Initial states (*) are entered from the start marker of their parent and
+ *   final states (!) lead to the end marker of their parent
+ * - Transient states (?) are styled with the "transient" class
+ * - History states (^ and ^^) are described as "H" or "H*" like in UML
+ * - Forbidden transitions are drawn as loops labelled "event (forbidden)"
+ * - Guarded transitions are labelled "event [guard]" and transitions with
+ *   actions are labelled "event / action"
+ * - The @entry and @exit actions of simple states are state descriptions
+ * - The descriptions (## doc comments) of states and machines are notes on
+ *   their right, Mermaid can't annotate transitions so their descriptions are
+ *   left out
+ *
+ * Transitions are drawn after all states are declared since Mermaid creates a
+ * state in the composite where it's first mentioned.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<string>}
+ */
+export async function mermaidGenerator (cache) {
+  const machineNodes = await readMachines(cache)
+  const sections = await Promise.all(machineNodes.map(async machineNode => {
+    return renderSection(await expandMachine(machineNode, { cache }))
+  }))
+
+  return sections.join('\n')
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string}
+ */
+function renderSection (machine) {
+  const ids = makeIdRegistry(toMermaidId)
+  /** @type {string[]} */
+  const transitionLines = []
+  const lines = [
+    `## ${machine.id}`,
+    '',
+    '```mermaid',
+    'stateDiagram-v2',
+    '  classDef transient stroke-dasharray: 5 5'
+  ]
+
+  renderMachine(machine, { ids, lines, transitionLines, depth: 1 })
+  lines.push(`  [*] --> ${ids.get(machine.key, 'machine')}`)
+  lines.push(...transitionLines, '```', '')
+
+  return lines.join('\n')
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.lines
+ * @param {string[]} options.transitionLines
+ * @param {number} options.depth
+ */
+function renderMachine (machine, { ids, lines, transitionLines, depth }) {
+  const indent = '  '.repeat(depth)
+  const id = ids.get(machine.key, 'machine')
+
+  renderLabel(id, machine.id, { lines, indent })
+  lines.push(`${indent}state ${id} {`)
+  renderChildStates(machine.states, { parallel: false, ids, lines, transitionLines, depth: depth + 1 })
+  lines.push(`${indent}}`)
+  renderNote(id, machine.description, { lines, indent })
+
+  machine.transitions.forEach(transition => {
+    renderTransition(id, transition, { ids, transitionLines })
+  })
+}
+
+/**
+ * @param {ExpandedState[]} states
+ * @param {Object} options
+ * @param {boolean} options.parallel
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.lines
+ * @param {string[]} options.transitionLines
+ * @param {number} options.depth
+ */
+function renderChildStates (states, { parallel, ids, lines, transitionLines, depth }) {
+  const indent = '  '.repeat(depth)
+  const initialState = states.find(state => state.initial)
+
+  states.forEach((state, index) => {
+    if (parallel && index > 0) {
+      lines.push(`${indent}--`)
+    }
+
+    renderState(state, { ids, lines, transitionLines, depth })
+  })
+
+  if (initialState && !parallel) {
+    lines.push(`${indent}[*] --> ${ids.get(initialState.key)}`)
+  }
+}
+
+/**
+ * @param {ExpandedState} state
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.lines
+ * @param {string[]} options.transitionLines
+ * @param {number} options.depth
+ */
+function renderState (state, { ids, lines, transitionLines, depth }) {
+  const indent = '  '.repeat(depth)
+  const id = ids.get(state.key)
+
+  renderLabel(id, state.id, { lines, indent })
+
+  if (state.states.length || state.machine) {
+    lines.push(`${indent}state ${id} {`)
+    renderChildStates(state.states, { parallel: state.parallel, ids, lines, transitionLines, depth: depth + 1 })
+    if (state.machine) {
+      renderMachine(state.machine, { ids, lines, transitionLines, depth: depth + 1 })
+      lines.push(`${indent}  [*] --> ${ids.get(state.machine.key, 'machine')}`)
+    }
+    lines.push(`${indent}}`)
+  } else if (state.stateType === 'history') {
+    lines.push(`${indent}${id} : ${historyLabel(state)}`)
+  } else if (actionLabels(state).length) {
+    actionLabels(state).forEach(label => {
+      lines.push(`${indent}${id} : ${escape(label)}`)
+    })
+  } else if (!state.final && id === state.id) {
+    // Declare the state so it's created in this composite
+    lines.push(`${indent}${id}`)
+  }
+
+  renderNote(id, state.description, { lines, indent })
+
+  if (state.final) {
+    lines.push(`${indent}${id} --> [*]`)
+  }
+
+  if (state.stateType === 'transient') {
+    lines.push(`${indent}class ${id} transient`)
+  }
+
+  state.transitions.forEach(transition => {
+    renderTransition(id, transition, { ids, transitionLines })
+  })
+}
+
+/**
+ * Declares the label of a state when it's different from its Mermaid ID.
+ *
+ * @param {string} id
+ * @param {string} label
+ * @param {Object} options
+ * @param {string[]} options.lines
+ * @param {string} options.indent
+ */
+function renderLabel (id, label, { lines, indent }) {
+  if (id !== label) {
+    lines.push(`${indent}state "${escape(label)}" as ${id}`)
+  }
+}
+
+/**
+ * Renders the description of a state or machine as a note on its right.
+ *
+ * @param {string} id
+ * @param {string} description The description or null
+ * @param {Object} options
+ * @param {string[]} options.lines
+ * @param {string} options.indent
+ */
+function renderNote (id, description, { lines, indent }) {
+  if (description) {
+    lines.push(`${indent}note right of ${id}`)
+    description.split('\n').forEach(line => {
+      lines.push(`${indent}  ${escape(line)}`.replace(/\s+$/, ''))
+    })
+    lines.push(`${indent}end note`)
+  }
+}
+
+/**
+ * @param {string} sourceId
+ * @param {ExpandedTransition} transition
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.transitionLines
+ */
+function renderTransition (sourceId, transition, { ids, transitionLines }) {
+  const event = escape(transitionLabel(transition))
+
+  if (transition.isForbidden) {
+    transitionLines.push(`  ${sourceId} --> ${sourceId} : ${event} (forbidden)`)
+  } else {
+    transition.targets.forEach(key => {
+      transitionLines.push(`  ${sourceId} --> ${ids.get(key)} : ${event}`)
+    })
+  }
+}
+
+/**
+ * Escapes the characters that end a statement or a label in Mermaid.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function escape (text) {
+  const entities = { '#': '#35;', ';': '#59;', '"': '#quot;' }
+  return text.replace(/[#;"]/g, c => entities[c])
+}
+
+/**
+ * Transforms a state key into a valid Mermaid state ID.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+function toMermaidId (key) {
+  const id = key.trim().replace(/[^A-Za-z0-9_]+/g, '_')
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`
+}
@@ -0,0 +1,342 @@
+/* eslint-disable-next-line */
+import { CacheBase } from '../../cache-base'
+// eslint-disable-next-line
+import { expandMachine, readScopes, ExpandedMachine, ExpandedState, ExpandedTransition } from './expand-machine'
+// eslint-disable-next-line
+import { makeIdRegistry, IdRegistry } from './id-registry'
+import { isDuration, parseDuration } from '../../duration'
+
+const SCXML_NAMESPACE = 'http://www.w3.org/2005/07/scxml'
+const WIRESTATE_NAMESPACE = 'https://github.com/launchfort/wirestate'
+
+/**
+ * Generates a W3C SCXML document for a machine of the compiled file (i.e. the
+ * file in the cache that isn't imported by another file). A document has a
+ * single <scxml> root, so a compiled file that declares several machines is
+ * generated once per machine with the machine option selecting the machine
+ * by its ID. Without the machine option the compiled file must declare a
+ * single machine.
+ *
+ * - The machine is the single top-level <state> of its document, so that
+ *   machine transitions apply to all of its states
+ * - Initial states (*) become the initial attribute of their parent
+ * - Parallel states (&) become <parallel> and final states (!) become <final>
+ * - Transient states (?) are marked with the wirestate:transient attribute
+ * - History states (^ and ^^) become <history> with a shallow or deep type
+ * - Forbidden transitions become targetless transitions so the event is
+ *   consumed without leaving the state
+ * - Guarded transitions name their guard in the cond attribute
+ * - Actions become <wirestate:action name="..."/> elements in the executable
+ *   content of <onentry>, <onexit> and <transition>
+ * - Delayed transitions (i.e. after 300ms) send themselves an event with a
+ *   delay when the state is entered, the event is cancelled when the state is
+ *   exited. Named delays are referenced with the delayexpr attribute.
+ * - The @context of the machine becomes the <datamodel> of the document, with
+ *   a <data> element per field that names its type in wirestate:type
+ * - Machines embedded with @use are inlined, their states are namespaced like
+ *   the xstate generator does
+ *
+ * State IDs are sanitized to valid XML IDs (i.e. "Waiting For Input" becomes
+ * "Waiting_For_Input") and whitespace in event names is replaced with "_"
+ * since SCXML separates event names with whitespace. The original names are
+ * kept in the wirestate:name attribute.
+ *
+ * @param {CacheBase} cache
+ * @param {Object} [options]
+ * @param {string} [options.machine] The ID of the machine to generate
+ * @return {Promise<string>}
+ */
+export async function scxmlGenerator (cache, { machine = undefined } = {}) {
+  const scopeNodes = await readScopes(cache)
+  const importedFiles = scopeNodes.reduce((files, scopeNode) => {
+    return files.concat(scopeNode.imports.map(n => n.wireStateFile))
+  }, [])
+  const machineNodes = scopeNodes
+    .filter(scopeNode => !importedFiles.includes(scopeNode.wireStateFile))
+    .reduce((machineNodes, scopeNode) => machineNodes.concat(scopeNode.machines), [])
+  const machineIds = machineNodes.map(n => n.id).join(', ')
+
+  if (machine === undefined && machineNodes.length > 1) {
+    throw new Error(`An SCXML document holds a single machine, select one with the machine option: ${machineIds}`)
+  }
+
+  const machineNode = machine === undefined
+    ? machineNodes[0]
+    : machineNodes.find(n => n.id === machine)
+
+  if (!machineNode) {
+    throw new Error(machine === undefined
+      ? 'No machine to generate'
+      : `Machine "${machine}" not found, expected one of: ${machineIds}`
+    )
+  }
+
+  return renderDocument(await expandMachine(machineNode, { cache }))
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string}
+ */
+function renderDocument (machine) {
+  const ids = makeIdRegistry(toXmlId)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<scxml xmlns="${SCXML_NAMESPACE}" xmlns:wirestate="${WIRESTATE_NAMESPACE}" version="1.0" name="${escape(machine.id)}" initial="${ids.get(machine.key, 'machine')}">`
+  ]
+
+  renderDataModel(machine, { lines, depth: 1 })
+  renderMachine(machine, { ids, lines, depth: 1 })
+  lines.push('</scxml>', '')
+
+  return lines.join('\n')
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @param {Object} options
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderDataModel (machine, { lines, depth }) {
+  const { context } = machine.machineNode
+  const indent = '  '.repeat(depth)
+
+  if (!context) return
+
+  lines.push(`${indent}<datamodel>`)
+  context.fields.forEach(field => {
+    const attributes = [
+      ['id', field.name],
+      ['expr', JSON.stringify(field.value)],
+      ['wirestate:type', field.type]
+    ]
+    lines.push(`${indent}  <data${renderAttributes(attributes)}/>`)
+  })
+  lines.push(`${indent}</datamodel>`)
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderMachine (machine, { ids, lines, depth }) {
+  const indent = '  '.repeat(depth)
+  const attributes = [
+    ['id', ids.get(machine.key, 'machine')],
+    ['initial', initialOf(machine.states, ids)],
+    ['wirestate:name', machine.id]
+  ]
+
+  const delayEvents = toDelayEvents(machine, ids.get(machine.key, 'machine'))
+
+  lines.push(`${indent}<state${renderAttributes(attributes)}>`)
+  renderEntryAndExit(machine, { delayEvents, lines, depth: depth + 1 })
+  machine.transitions.forEach(t => renderTransition(t, { ids, delayEvents, lines, depth: depth + 1 }))
+  machine.states.forEach(s => renderState(s, { ids, lines, depth: depth + 1 }))
+  lines.push(`${indent}</state>`)
+}
+
+/**
+ * @param {ExpandedState} state
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderState (state, { ids, lines, depth }) {
+  const indent = '  '.repeat(depth)
+
+  if (state.stateType === 'history') {
+    const attributes = [
+      ['id', ids.get(state.key)],
+      ['type', state.history],
+      ['wirestate:name', state.id]
+    ]
+    lines.push(`${indent}<history${renderAttributes(attributes)}/>`)
+    return
+  }
+
+  const tagName = state.parallel
+    ? 'parallel'
+    : (state.final ? 'final' : 'state')
+  const attributes = [
+    ['id', ids.get(state.key)],
+    ['initial', tagName === 'state' ? initialOf(state.states, ids) : null],
+    ['wirestate:name', state.id],
+    ['wirestate:transient', state.stateType === 'transient' ? 'true' : null]
+  ]
+
+  // Embedded machines are the only child of the state that embeds them
+  if (state.machine) {
+    attributes[1][1] = ids.get(state.machine.key, 'machine')
+  }
+
+  const isEmpty = !state.transitions.length && !state.states.length && !state.machine &&
+    !state.entryActions.length && !state.exitActions.length
+
+  if (isEmpty) {
+    lines.push(`${indent}<${tagName}${renderAttributes(attributes)}/>`)
+    return
+  }
+
+  const delayEvents = toDelayEvents(state, ids.get(state.key))
+
+  lines.push(`${indent}<${tagName}${renderAttributes(attributes)}>`)
+  renderEntryAndExit(state, { delayEvents, lines, depth: depth + 1 })
+  state.transitions.forEach(t => renderTransition(t, { ids, delayEvents, lines, depth: depth + 1 }))
+  state.states.forEach(s => renderState(s, { ids, lines, depth: depth + 1 }))
+  if (state.machine) {
+    renderMachine(state.machine, { ids, lines, depth: depth + 1 })
+  }
+  lines.push(`${indent}</${tagName}>`)
+}
+
+/**
+ * @param {ExpandedTransition} transition
+ * @param {Object} options
+ * @param {IdRegistry} options.ids
+ * @param {Map<string, string>} options.delayEvents
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderTransition (transition, { ids, delayEvents, lines, depth }) {
+  const indent = '  '.repeat(depth)
+  const event = transition.delay
+    ? delayEvents.get(transition.delay)
+    : transition.event.trim().replace(/\s+/g, '_')
+  const attributes = [
+    ['event', event],
+    ['cond', transition.cond],
+    ['target', transition.isForbidden ? null : transition.targets.map(key => ids.get(key)).join(' ')]
+  ]
+
+  if (transition.actions.length) {
+    lines.push(`${indent}<transition${renderAttributes(attributes)}>`)
+    renderActions(transition.actions, { lines, depth: depth + 1 })
+    lines.push(`${indent}</transition>`)
+  } else {
+    lines.push(`${indent}<transition${renderAttributes(attributes)}/>`)
+  }
+}
+
+/**
+ * Names the event sent for every delay of the delayed transitions of a state,
+ * transitions with the same delay share the event.
+ *
+ * @param {ExpandedState|ExpandedMachine} state
+ * @param {string} id The XML ID of the state
+ * @return {Map<string, string>} Mapping of delay to event name
+ */
+function toDelayEvents (state, id) {
+  /** @type {Map<string, string>} */
+  const delayEvents = new Map()
+
+  state.transitions.filter(t => t.delay).forEach(t => {
+    if (!delayEvents.has(t.delay)) {
+      delayEvents.set(t.delay, `${id}.after.${delayEvents.size + 1}`)
+    }
+  })
+
+  return delayEvents
+}
+
+/**
+ * Renders the <onentry> and <onexit> elements of a state, with its @entry and
+ * @exit actions and the events of its delayed transitions.
+ *
+ * @param {ExpandedState|ExpandedMachine} state
+ * @param {Object} options
+ * @param {Map<string, string>} options.delayEvents
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderEntryAndExit (state, { delayEvents, lines, depth }) {
+  const indent = '  '.repeat(depth)
+
+  if (state.entryActions.length || delayEvents.size) {
+    lines.push(`${indent}<onentry>`)
+    renderActions(state.entryActions, { lines, depth: depth + 1 })
+    delayEvents.forEach((event, delay) => {
+      const attributes = [
+        ['event', event],
+        ['id', event],
+        isDuration(delay) ? ['delay', `${parseDuration(delay)}ms`] : ['delayexpr', delay]
+      ]
+      lines.push(`${indent}  <send${renderAttributes(attributes)}/>`)
+    })
+    lines.push(`${indent}</onentry>`)
+  }
+
+  if (state.exitActions.length || delayEvents.size) {
+    lines.push(`${indent}<onexit>`)
+    renderActions(state.exitActions, { lines, depth: depth + 1 })
+    delayEvents.forEach(event => {
+      lines.push(`${indent}  <cancel${renderAttributes([['sendid', event]])}/>`)
+    })
+    lines.push(`${indent}</onexit>`)
+  }
+}
+
+/**
+ * @param {string[]} actions
+ * @param {Object} options
+ * @param {string[]} options.lines
+ * @param {number} options.depth
+ */
+function renderActions (actions, { lines, depth }) {
+  const indent = '  '.repeat(depth)
+
+  actions.forEach(action => {
+    lines.push(`${indent}<wirestate:action${renderAttributes([['name', action]])}/>`)
+  })
+}
+
+/**
+ * @param {ExpandedState[]} states
+ * @param {IdRegistry} ids
+ * @return {string}
+ */
+function initialOf (states, ids) {
+  const initialState = states.find(state => state.initial)
+  return initialState ? ids.get(initialState.key) : null
+}
+
+/**
+ * Renders attributes, attributes without a value are left out.
+ *
+ * @param {string[][]} attributes Pairs of attribute name and value
+ * @return {string}
+ */
+function renderAttributes (attributes) {
+  return attributes
+    .filter(([name, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escape(value)}"`)
+    .join('')
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escape (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Transforms a state key into a valid XML ID.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+function toXmlId (key) {
+  const id = key.trim().replace(/[^A-Za-z0-9_.-]+/g, '_')
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`
+}
@@ -0,0 +1,315 @@
+/* eslint-disable-next-line */
+import { CacheBase } from '../../cache-base'
+// eslint-disable-next-line
+import { expandMachine, readMachines, readEvents, readMachineKeys, mapSerial, ExpandedMachine, ExpandedState } from './expand-machine'
+import { qualifyMachineId } from '../../ast-nodes'
+import { isDuration } from '../../duration'
+
+/**
+ * Generates TypeScript declarations for the module generated by the xstate
+ * generator, meant to be saved next to it (i.e. App.wirestate.d.ts next to
+ * App.wirestate.js).
+ *
+ * The declarations contain string literal unions of:
+ * - every callback key, "MachineID" and "MachineID/StateID", including the
+ *   keys of machines embedded with @use (keyed by their alias)
+ * - every event name each machine handles, including embedded machines
+ * - every XState state ID of each machine, including the namespaced state IDs
+ *   of embedded machines
+ * - every guard name referenced by a guarded transition
+ * - every action name referenced by an action directive or a transition
+ * - every named delay referenced by a delayed transition
+ *
+ * Machines are keyed by the same keys as in the generated module, their
+ * qualified ID and their unambiguous machine ID or alias.
+ *
+ * And the type of the context declared by the @context of each machine and
+ * the payload of every event declared with @event, along with the event
+ * payload validator.
+ *
+ * @param {CacheBase} cache
+ * @return {Promise<string>}
+ */
+export async function typescriptGenerator (cache) {
+  const machineNodes = await readMachines(cache)
+  const eventNodes = await readEvents(cache)
+  const machineKeys = await readMachineKeys(cache)
+  // Embedded machines are counted for the whole generation and in the same
+  // order as the xstate generator, so that state IDs match the module
+  /** @type {Map<string, number>} */
+  const counters = new Map()
+  const machines = await mapSerial(machineNodes, machineNode => {
+    return expandMachine(machineNode, { cache, counters })
+  })
+
+  /**
+   * Renders an interface member for every key of a machine.
+   *
+   * @param {(machine: ExpandedMachine) => string} type
+   * @return {string[]}
+   */
+  const members = type => {
+    return [].concat(...machines.map(machine => {
+      const { machineNode } = machine
+      const keys = machineKeys.get(qualifyMachineId(machineNode.parent.wireStateFile, machineNode.id))
+      return keys.map(key => `  ${literal(key)}: ${type(machine)}`)
+    }))
+  }
+
+  const callbackKeys = unique(machines.reduce((keys, machine) => {
+    return keys.concat(collectCallbackKeys(machine))
+  }, []))
+  const guardNames = unique(machines.reduce((names, machine) => {
+    return names.concat(collectGuardNames(machine))
+  }, [])).sort()
+  const actionNames = unique(machines.reduce((names, machine) => {
+    return names.concat(collectActionNames(machine))
+  }, [])).sort()
+  const delayNames = unique(machines.reduce((names, machine) => {
+    return names.concat(collectDelayNames(machine))
+  }, [])).sort()
+
+  const lines = [
+    '/* Generated using @launchfort/wirestate */',
+    '',
+    "import { StateMachine } from 'xstate'",
+    '',
+    '/** The events each machine handles */',
+    'export interface MachineEvents {',
+    ...members(machine => union(unique(collectEvents(machine)))),
+    '}',
+    '',
+    '/** The XState state IDs of each machine */',
+    'export interface MachineStateIds {',
+    ...members(machine => union(collectStateKeys(machine))),
+    '}',
+    '',
+    '/** The context declared by the @context of each machine */',
+    'export interface MachineContexts {',
+    ...members(contextType),
+    '}',
+    '',
+    '/** The payload of every event declared with @event */',
+    'export interface EventPayloads {',
+    ...eventNodes.map(eventNode => {
+      const fields = eventNode.fields.map(field => {
+        return `${literal(field.name)}${field.optional ? '?' : ''}: ${field.type}`
+      })
+      return `  ${literal(eventNode.name)}: { ${fields.join(', ')} }`
+    }),
+    '}',
+    '',
+    'export type MachineId = keyof MachineEvents',
+    'export type EventType<M extends MachineId = MachineId> = MachineEvents[M]',
+    'export type StateId<M extends MachineId = MachineId> = MachineStateIds[M]',
+    '',
+    '/** Every valid callback key, "MachineID" or "MachineID/StateID" */',
+    `export type CallbackKey = ${union(callbackKeys)}`,
+    '',
+    '/** Every guard referenced by a guarded transition */',
+    `export type GuardName = ${union(guardNames)}`,
+    '',
+    '/** Every action referenced by an @entry or @exit directive or a transition */',
+    `export type ActionName = ${union(actionNames)}`,
+    '',
+    '/** Every named delay referenced by a delayed transition */',
+    `export type DelayName = ${union(delayNames)}`,
+    '',
+    'export interface WireStateEvent<M extends MachineId = MachineId> {',
+    '  type: EventType<M>',
+    '  [key: string]: any',
+    '}',
+    '',
+    'export type Send = (event: string | { type: string, [key: string]: any }, payload?: { [key: string]: any }) => void',
+    'export type Receive = (listener: (event: { type: string, [key: string]: any }) => void) => void',
+    'export type Callback = (event: { type: string, [key: string]: any }, send: Send, context: any, receive: Receive) => void | (() => void)',
+    '',
+    'export type Guard = (context: any, event: { type: string, [key: string]: any }) => boolean',
+    'export type Action = (context: any, event: { type: string, [key: string]: any }) => void',
+    'export type Delay = number | ((context: any, event: { type: string, [key: string]: any }) => number)',
+    '',
+    'export interface WireStateOptions {',
+    '  callbacks?: { [K in CallbackKey]?: Callback }',
+    // Every guard must be implemented when the machines reference guards
+    guardNames.length
+      ? '  guards: { [K in GuardName]: Guard }'
+      : '  guards?: { [K in GuardName]: Guard }',
+    '  actions?: { [K in ActionName]?: Action }',
+    // Every named delay must be provided when the machines reference named delays
+    delayNames.length
+      ? '  delays: { [K in DelayName]: Delay }'
+      : '  delays?: { [K in DelayName]: Delay }',
+    '  context?: { [M in MachineId]?: Partial<MachineContexts[M]> }',
+    '  catchFn?: (error: any, callbackKey: CallbackKey | ActionName) => void',
+    '}',
+    '',
+    'export type DeclaredEvent<E extends keyof EventPayloads = keyof EventPayloads> = { type: E } & EventPayloads[E]',
+    '',
+    'export declare function validateEvent<E extends keyof EventPayloads> (event: E, payload: EventPayloads[E]): DeclaredEvent<E>',
+    'export declare function validateEvent<E extends keyof EventPayloads> (event: DeclaredEvent<E>): DeclaredEvent<E>',
+    'export declare function validateEvent (event: string | { type: string, [key: string]: any }, payload?: { [key: string]: any }): { type: string, [key: string]: any }',
+    '',
+    'export declare function wirestate (options: WireStateOptions): {',
+    '  [M in MachineId]: StateMachine<MachineContexts[M], any, WireStateEvent<M>>',
+    '}',
+    ''
+  ]
+
+  return lines.join('\n')
+}
+
+/**
+ * Collects the callback keys of a machine the same way the xstate generator
+ * forms them.
+ *
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectCallbackKeys (machine) {
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    // History states don't invoke callbacks
+    if (state.stateType === 'history') return []
+
+    return [`${machine.id}/${state.id}`]
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectCallbackKeys(state.machine) : [])
+  }
+
+  return [machine.id].concat(...machine.states.map(visit))
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectEvents (machine) {
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    return state.transitions.filter(t => !t.delay).map(t => t.event)
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectEvents(state.machine) : [])
+  }
+
+  return machine.transitions.filter(t => !t.delay).map(t => t.event)
+    .concat(...machine.states.map(visit))
+    // The wildcard event can't be sent
+    .filter(event => event !== '*')
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectGuardNames (machine) {
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    return state.transitions.map(t => t.cond)
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectGuardNames(state.machine) : [])
+  }
+
+  return machine.transitions.map(t => t.cond)
+    .concat(...machine.states.map(visit))
+    .filter(Boolean)
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectActionNames (machine) {
+  /** @param {ExpandedState|ExpandedMachine} state */
+  const actionsOf = state => {
+    return state.entryActions.concat(state.exitActions)
+      .concat(...state.transitions.map(t => t.actions))
+  }
+
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    return actionsOf(state)
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectActionNames(state.machine) : [])
+  }
+
+  return actionsOf(machine).concat(...machine.states.map(visit))
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectDelayNames (machine) {
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    return state.transitions.map(t => t.delay)
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectDelayNames(state.machine) : [])
+  }
+
+  return machine.transitions.map(t => t.delay)
+    .concat(...machine.states.map(visit))
+    .filter(delay => delay && !isDuration(delay))
+}
+
+/**
+ * @param {ExpandedMachine} machine
+ * @return {string[]}
+ */
+function collectStateKeys (machine) {
+  /** @param {ExpandedState} state */
+  const visit = state => {
+    return [state.key]
+      .concat(...state.states.map(visit))
+      .concat(state.machine ? collectStateKeys(state.machine) : [])
+  }
+
+  return [].concat(...machine.states.map(visit))
+}
+
+/**
+ * Renders the type of the context of a machine, fields that default to null
+ * can be null.
+ *
+ * @param {ExpandedMachine} machine
+ * @return {string}
+ */
+function contextType (machine) {
+  const { context } = machine.machineNode
+
+  if (!context) return '{}'
+
+  const fields = context.fields.map(field => {
+    return `${literal(field.name)}: ${field.type}${field.value === null ? ' | null' : ''}`
+  })
+
+  return `{ ${fields.join(', ')} }`
+}
+
+/**
+ * @param {string[]} values
+ * @return {string[]}
+ */
+function unique (values) {
+  return values.filter((value, index) => values.indexOf(value) === index)
+}
+
+/**
+ * Renders a union of string literal types, or never when there are none.
+ *
+ * @param {string[]} values
+ * @return {string}
+ */
+function union (values) {
+  return values.length ? values.map(literal).join(' | ') : 'never'
+}
+
+/**
+ * Renders a string literal type.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function literal (value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+}
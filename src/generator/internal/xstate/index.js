@@ -1,33 +1,84 @@
 /* eslint-disable-next-line */
 import { CacheBase } from '../../../cache-base'
+import { qualifyMachineId } from '../../../ast-nodes'
+import { readScopes, readMachineKeys, mapSerial } from '../expand-machine'
 import { toMachineConfig } from './internal/to-machine-config'
+import { collectGuardNames, collectActionNames, collectDelayNames } from './internal/to-transitions-config'
 import { render } from './internal/template'
+import { makeCounters } from './internal/counter'
 
 /**
+ * Generates an ESM module that exports the machines of every wirestate file in
+ * the cache as XState machines. The same cache always generates the same
+ * module, unless the date of the generation is stamped in the module.
  *
  * @param {CacheBase} cache
+ * @param {Object} [options]
+ * @param {boolean} [options.disableCallbacks] Flag to disable callback mapping
+ * @param {boolean} [options.timestamp] Flag to stamp the date of the generation in the module
+ * @return {Promise<string>}
  */
-export async function xstateGenerator (cache, { disableCallbacks = false } = {}) {
-  const wireStateFiles = [ ...cache.keys ]
+export async function xstateGenerator (cache, { disableCallbacks = false, timestamp = false } = {}) {
+  const scopeNodes = await readScopes(cache)
+  // Embedded machines are counted from scratch for every generation
+  const counters = makeCounters()
+
   // Since the Map constructor takes an initializer like: [ [key, value], ... ]
-  // we build an array of: [ [WireState machine ID, XState machine config], ... ]
-  // array to new up a Map for the render function.
+  // we build an array of: [ [qualified machine ID, XState machine config], ... ]
+  // array to new up a Map for the render function. The machines are converted
+  // one after the other so that embedded machines are counted in order.
   /** @type {Array<[string, object]>} */
-  const machineConfigsMapInitializer = await Promise.all(
-    wireStateFiles.map(async wireStateFile => {
-      const scopeNode = await cache.get(wireStateFile)
-      return Promise.all(
-        scopeNode.machines.map(async machineNode => {
-          return [
-            machineNode.id,
-            await toMachineConfig({ machineNode, cache, disableCallbacks })
-          ]
-        })
-      )
+  const machineConfigsMapInitializer = await mapSerial(
+    _flatten(scopeNodes.map(scopeNode => scopeNode.machines)),
+    async machineNode => {
+      return [
+        qualifyMachineId(machineNode.parent.wireStateFile, machineNode.id),
+        await toMachineConfig({ machineNode, cache, counters, disableCallbacks })
+      ]
+    }
+  )
+
+  const guardNames = _flatten(scopeNodes.map(scopeNode => {
+    return _flatten(scopeNode.machines.map(collectGuardNames))
+  }))
+
+  const actionNames = _flatten(scopeNodes.map(scopeNode => {
+    return _flatten(scopeNode.machines.map(collectActionNames))
+  }))
+
+  const delayNames = _flatten(scopeNodes.map(scopeNode => {
+    return _flatten(scopeNode.machines.map(collectDelayNames))
+  }))
+
+  /** @type {Object<string, { schema: Object, defaults: Object }>} */
+  const contexts = {}
+  /** @type {Object<string, Object<string, { type: string, optional: boolean }>>} */
+  const events = {}
+
+  for (const scopeNode of scopeNodes) {
+    scopeNode.machines.filter(machineNode => machineNode.context).forEach(machineNode => {
+      contexts[qualifyMachineId(scopeNode.wireStateFile, machineNode.id)] = {
+        schema: machineNode.context.schema,
+        defaults: machineNode.context.defaults
+      }
+    })
+    scopeNode.events.forEach(eventNode => {
+      events[eventNode.name] = eventNode.fields.reduce((schema, field) => {
+        schema[field.name] = { type: field.type, optional: field.optional }
+        return schema
+      }, {})
     })
-  ).then(_flatten)
+  }
 
-  return render(new Map(machineConfigsMapInitializer))
+  return render(new Map(machineConfigsMapInitializer), {
+    machineKeys: await readMachineKeys(cache),
+    guardNames: [...new Set(guardNames)].sort(),
+    actionNames: [...new Set(actionNames)].sort(),
+    delayNames: [...new Set(delayNames)].sort(),
+    contexts,
+    events,
+    timestamp: timestamp ? new Date() : null
+  })
 }
 
 /**
@@ -1,7 +1,3 @@
-// Keeps track of singleton counting objects
-/** @type {Map<string, CountingObject>} */
-let counters = new Map()
-
 /**
  * @typedef {Object} CountingObject
  * @prop {number} value The current value of the counter
@@ -36,16 +32,28 @@ export function Counter (value = 0) {
 }
 
 /**
- * Retrieves or creates a singleton counting object.
+ * @typedef {Object} Counters
+ * @prop {(name: string) => CountingObject} get Retrieves or creates the counting object of a name
+ */
+
+/**
+ * Factory function that produces a set of named counting objects. Every
+ * generation makes its own set so that the same input always generates the
+ * same output.
  *
- * @param {string} name
- * @return {CountingObject}
+ * @return {Counters}
  */
-Counter.get = name => {
-  if (counters.has(name)) {
-    return counters.get(name)
-  } else {
-    counters.set(name, Counter())
-    return counters.get(name)
+export function makeCounters () {
+  /** @type {Map<string, CountingObject>} */
+  const counters = new Map()
+
+  return {
+    get (name) {
+      if (!counters.has(name)) {
+        counters.set(name, Counter())
+      }
+
+      return counters.get(name)
+    }
   }
 }
@@ -3,18 +3,32 @@ import { unwrap } from './rawstring'
 /**
  * Render the WireState XState machine config objects to JavaScript.
  *
- * @param {Map<string, Object>} machineConfigs Mapping of WireState machine ID to XState machine config objects
+ * @param {Map<string, Object>} machineConfigs Mapping of qualified machine ID to XState machine config objects
+ * @param {Object} [options]
+ * @param {Map<string, string[]>} [options.machineKeys] Mapping of qualified machine ID to the keys the machine is exposed by, machines are only keyed by their qualified ID when not set
+ * @param {string[]} [options.guardNames] The names of the guards referenced by the machines
+ * @param {string[]} [options.actionNames] The names of the actions referenced by the machines
+ * @param {string[]} [options.delayNames] The names of the delays referenced by the machines
+ * @param {Object<string, { schema: Object, defaults: Object }>} [options.contexts] The context declarations keyed by qualified machine ID
+ * @param {Object<string, Object<string, { type: string, optional: boolean }>>} [options.events] The payload fields of the event declarations keyed by event name
+ * @param {Date} [options.timestamp] The date of the generation stamped in the header, the header isn't stamped when not set
  */
-export const render = (machineConfigs) => {
+export const render = (machineConfigs, { machineKeys = new Map(), guardNames = [], actionNames = [], delayNames = [], contexts = {}, events = {}, timestamp = null } = {}) => {
+  // Every key of a machine resolves to its qualified ID
+  const machineIds = {}
+  for (const [qualifiedId, keys] of machineKeys) {
+    keys.forEach(key => (machineIds[key] = qualifiedId))
+  }
+
   return [
-    _head(),
-    _body(machineConfigs),
+    _head({ guardNames, actionNames, delayNames, contexts, events, machineIds, timestamp }),
+    _body(machineConfigs, machineKeys),
     _foot()
   ].join('\n')
 }
 
-const _head = () => (
-  `/* Generated on ${new Date().toISOString()} using @launchfort/wirestate */
+const _head = ({ guardNames, actionNames, delayNames, contexts, events, machineIds, timestamp }) => (
+  `/* Generated${timestamp ? ` on ${timestamp.toISOString()}` : ''} using @launchfort/wirestate */
 
 /* eslint-disable-next-line */
 import { Machine } from 'xstate'
@@ -23,6 +37,47 @@ const DEFAULT_CATCH_FN = (error, callbackKey) => {
   console.error({ callbackKey, error })
 }
 
+const GUARD_NAMES = ${JSON.stringify(guardNames)}
+const ACTION_NAMES = ${JSON.stringify(actionNames)}
+const DELAY_NAMES = ${JSON.stringify(delayNames)}
+const MACHINE_IDS = ${JSON.stringify(machineIds)}
+const CONTEXTS = ${JSON.stringify(contexts)}
+const EVENTS = ${JSON.stringify(events)}
+
+/**
+* Validates the payload of an event declared with \`@event\`. Required fields
+* must be present and every field must match its declared type, otherwise an
+* error is thrown that lists the invalid fields. Events that aren't declared
+* are not validated.
+*
+* @example
+* service.send(validateEvent('authenticate', { username: 'admin' }))
+* @param {string|{ type: string }} event The event or the event name
+* @param {Object} [payload] The payload when the event is an event name
+* @return {{ type: string }} The event
+*/
+export function validateEvent (event, payload = {}) {
+  event = typeof event === 'string' ? Object.assign({}, payload, { type: event }) : event
+
+  const fields = EVENTS[event.type]
+  if (!fields) return event
+
+  const invalidFields = []
+  Object.keys(fields).forEach(name => {
+    const value = event[name]
+    if (value === undefined || value === null) {
+      if (!fields[name].optional) invalidFields.push(name + ' is required')
+    } else if (typeof value !== fields[name].type) {
+      invalidFields.push(name + ' must be a ' + fields[name].type)
+    }
+  })
+  if (invalidFields.length) {
+    throw new Error('Invalid event payload\\n  Event: ' + event.type + '\\n  ' + invalidFields.join('\\n  '))
+  }
+
+  return event
+}
+
 /**
 * Hooks up callbacks for all WireState machines and interprets the main application machine.
 *
@@ -34,16 +89,82 @@ const DEFAULT_CATCH_FN = (error, callbackKey) => {
 * @use statement having a child state created where the used machine is inserted
 * by namespacing all state IDs.
 *
+* Guarded transitions (i.e. \`submit [isValid] -> Saving\`) are only taken when
+* the guard with the same name returns true. Every guard referenced by the
+* machines must be implemented, otherwise an error is thrown that lists the
+* missing guards.
+*
+* Actions (i.e. \`@entry doThing\`, \`@exit doThing\` and
+* \`event -> State / doThing\`) are looked up in the actions object by name.
+* Actions that aren't provided do nothing, errors thrown by an action are
+* passed to catchFn with the action name.
+*
+* Named delays (i.e. \`after sessionTimeout -> Expired\`) are looked up in the
+* delays object by name, a delay is a number of milliseconds or a function
+* that returns one. Every named delay must be provided, otherwise an error is
+* thrown that lists the missing delays.
+*
+* The initial context of a machine with a \`@context\` declaration is the
+* declared defaults, overridden by the context object keyed by any key of the
+* machine. Overrides must be declared and match the declared type (or be
+* null), otherwise an error is thrown that lists the invalid fields.
+*
+* Machines are keyed by their qualified ID (i.e. "forms/Login.wirestate#Form")
+* and by their machine ID, or the alias they're imported with by the compiled
+* file, unless the machine ID is already the key of another machine.
+*
 * @example
 * wirestate({
 *   callbacks: { 'App/Some Initial State/entry': (event, send) => send('Go') },
+*   guards: { isValid: (context, event) => event.value !== '' },
+*   actions: { focusInput: (context, event) => document.querySelector('input').focus() },
+*   delays: { sessionTimeout: 15 * 60 * 1000 },
+*   context: { App: { username: 'guest' } },
 *   catchFn: (e, key) => console.error({ callbackKey: key, error: e })
 * })
 * @param { { [key:string]: (event, send: Function, receive: Function) => void|Function } } [callbacks]
-* @param { (error, callbackKey) => void } [catchFn] Optional error callback called when an callback throws an error
-* @return {Object} The XState machine config objects keyed by machine ID
+* @param { { [key:string]: (context, event) => boolean } } [guards] The guard implementations keyed by guard name
+* @param { { [key:string]: (context, event) => void } } [actions] The action implementations keyed by action name
+* @param { { [key:string]: number|((context, event) => number) } } [delays] The delays in milliseconds keyed by delay name
+* @param { { [key:string]: Object } } [context] The initial context overrides keyed by machine key
+* @param { (error, callbackKey) => void } [catchFn] Optional error callback called when a callback or an action throws an error
+* @return {Object} The XState machine config objects keyed by machine key
 */
-export function wirestate ({ callbacks = {}, catchFn = DEFAULT_CATCH_FN }) {
+export function wirestate ({ callbacks = {}, guards = {}, actions = {}, delays = {}, context = {}, catchFn = DEFAULT_CATCH_FN }) {
+  const missingGuards = GUARD_NAMES.filter(name => typeof guards[name] !== 'function')
+  if (missingGuards.length) {
+    throw new Error('Missing guard implementations\\n  Guards: ' + missingGuards.join(', '))
+  }
+
+  const missingDelays = DELAY_NAMES.filter(name => typeof delays[name] !== 'number' && typeof delays[name] !== 'function')
+  if (missingDelays.length) {
+    throw new Error('Missing delays\\n  Delays: ' + missingDelays.join(', '))
+  }
+
+  const invalidContextFields = []
+  const contextOverrides = {}
+  Object.keys(context).forEach(key => {
+    const machineId = MACHINE_IDS[key] || key
+    const schema = CONTEXTS[machineId] ? CONTEXTS[machineId].schema : {}
+    Object.keys(context[key] || {}).forEach(name => {
+      const value = context[key][name]
+      if (!(name in schema)) {
+        invalidContextFields.push(key + '.' + name + ' is not declared')
+      } else if (value !== null && typeof value !== schema[name]) {
+        invalidContextFields.push(key + '.' + name + ' must be a ' + schema[name])
+      }
+    })
+    contextOverrides[machineId] = Object.assign({}, contextOverrides[machineId], context[key])
+  })
+  if (invalidContextFields.length) {
+    throw new Error('Invalid context\\n  ' + invalidContextFields.join('\\n  '))
+  }
+
+  // The declared defaults overridden by the context of the machine
+  const machineContext = machineId => {
+    return Object.assign({}, CONTEXTS[machineId].defaults, contextOverrides[machineId])
+  }
+
   const noaction = () => {}
   // Look up a callback (avoids XState throwing if a callback service is not found)
   const callback = callbackKey => {
@@ -59,20 +180,37 @@ export function wirestate ({ callbacks = {}, catchFn = DEFAULT_CATCH_FN }) {
     }
   }
 
+  // Look up the actions (avoids XState warning about actions that are not provided)
+  const machineActions = {}
+  ACTION_NAMES.forEach(actionName => {
+    const action = actions[actionName] || noaction
+    machineActions[actionName] = (ctx, e) => {
+      try {
+        action(ctx, e)
+      } catch (error) {
+        catchFn(error, actionName)
+      }
+    }
+  })
+
   const machines = {}
 `
 )
 
 /**
- * @param {Map<string, Object>} machineConfigs Mapping of WireState machine ID to XState machine config objects
+ * @param {Map<string, Object>} machineConfigs Mapping of qualified machine ID to XState machine config objects
+ * @param {Map<string, string[]>} machineKeys Mapping of qualified machine ID to the keys of the machine
  */
-const _body = machineConfigs => {
+const _body = (machineConfigs, machineKeys) => {
   let lines = []
 
-  for (let [wireStateMachineId, machineConfig] of machineConfigs) {
-    lines.push(
-      `machines['${wireStateMachineId}'] = Machine(${JSON.stringify(machineConfig, null, 2)})`
-    )
+  for (const [qualifiedId, machineConfig] of machineConfigs) {
+    const keys = (machineKeys.get(qualifiedId) || []).filter(key => key !== qualifiedId)
+
+    lines.push([
+      `machines['${qualifiedId}'] = Machine(${JSON.stringify(machineConfig, null, 2)}, { guards, actions: machineActions, delays })`,
+      ...keys.map(key => `machines['${key}'] = machines['${qualifiedId}']`)
+    ].join('\n'))
   }
 
   return unwrap(
@@ -1,18 +1,21 @@
 /* eslint-disable no-unused-vars */
-import { MachineNode } from '../../../../ast-nodes'
+import { MachineNode, qualifyMachineId } from '../../../../ast-nodes'
 import { CacheBase } from '../../../../cache-base'
 import { rawstring } from './rawstring'
-import { CountingObject } from './counter'
+import { toTransitionsConfig, toDelayedTransitionsConfig, toMetaConfig } from './to-transitions-config'
+import { CountingObject, Counters } from './counter'
 import { toStateConfig } from './to-state-config'
+import { mapSerial } from '../../expand-machine'
 
 /**
  * @param {object} [options]
  * @param {MachineNode} options.machineNode
  * @param {CacheBase} options.cache
+ * @param {Counters} options.counters The counters of the embedded machines of the generation
  * @param {CountingObject} [options.counter]
  * @param {boolean} [options.disableCallbacks]
  */
-export async function toMachineConfig ({ machineNode, cache, counter = null, disableCallbacks = false }) {
+export async function toMachineConfig ({ machineNode, cache, counters, counter = null, disableCallbacks = false }) {
   /**
    * Transforms a machine ID into a qualified machine ID for XState
    *
@@ -40,6 +43,8 @@ export async function toMachineConfig ({ machineNode, cache, counter = null, dis
     initial: (machineNode.states.find(state => !!state.initial) || { id: undefined }).id
   }
 
+  Object.assign(machineConfig, toMetaConfig(machineNode))
+
   if (!disableCallbacks) {
     machineConfig.invoke = { src: rawstring(`callback('${machineNode.id}')`) }
   }
@@ -50,37 +55,37 @@ export async function toMachineConfig ({ machineNode, cache, counter = null, dis
     machineConfig.initial = initialStateNode.id
   }
 
-  if (machineNode.transitions.length) {
-    machineConfig.on = machineNode.transitions.reduce((o, transition) => {
-      if (transition.isForbidden) {
-        o[transition.event] = {
-          actions: []
-        }
-      } else {
-        // NOTE (dschnare): We normalize all transition definitions to objects
-        // since XState is currently buggy in how it handles transitions that are
-        // not defined as objects.
-        // See: https://github.com/davidkpiano/xstate/issues/569
-        o[transition.event] = {
-          target: transition.targets.map(s => {
-            return `#${StateID(s)}`
-          }),
-          // NOTE (dschnare): We add an empty action function here to workaround
-          // an XState bug where if the target of a transition is a parent node
-          // then it does not cause an exit and re-entry of the parent node.
-          // However, with an empty action function the transition performs as
-          // expected.
-          actions: rawstring('function () {}')
-        }
-      }
-      return o
-    }, {})
+  // Only the root machine has a context in XState, the context of embedded
+  // machines is ignored
+  if (machineNode.context && !counter) {
+    machineConfig.context = rawstring(`machineContext('${qualifyMachineId(machineNode.parent.wireStateFile, machineNode.id)}')`)
+  }
+
+  if (machineNode.entryActions.length) {
+    machineConfig.onEntry = machineNode.entryActions.slice()
+  }
+
+  if (machineNode.exitActions.length) {
+    machineConfig.onExit = machineNode.exitActions.slice()
+  }
+
+  // Delayed transitions don't handle events, they're taken after a delay
+  const eventTransitionNodes = machineNode.transitions.filter(t => !t.delay)
+  const delayedTransitionNodes = machineNode.transitions.filter(t => !!t.delay)
+
+  if (eventTransitionNodes.length) {
+    machineConfig.on = toTransitionsConfig(eventTransitionNodes, StateID)
+  }
+
+  if (delayedTransitionNodes.length) {
+    machineConfig.after = toDelayedTransitionsConfig(delayedTransitionNodes, StateID)
   }
 
   if (machineNode.states.length) {
-    const childStateConfigs = await Promise.all(machineNode.states.map(stateNode => {
-      return toStateConfig({ stateNode, cache, toMachineConfig, counter, disableCallbacks })
-    }))
+    // Converted in order so that embedded machines are counted in order
+    const childStateConfigs = await mapSerial(machineNode.states, stateNode => {
+      return toStateConfig({ stateNode, cache, toMachineConfig, counters, counter, disableCallbacks })
+    })
     machineConfig.states = childStateConfigs.reduce((states, childStateConfig, index) => {
       states[machineNode.states[index].id] = childStateConfig
       return states
@@ -2,17 +2,20 @@
 import { StateNode } from '../../../../ast-nodes'
 import { CacheBase } from '../../../../cache-base'
 import { rawstring } from './rawstring'
-import { Counter, CountingObject } from './counter'
+import { toTransitionsConfig, toDelayedTransitionsConfig, toMetaConfig } from './to-transitions-config'
+import { CountingObject, Counters } from './counter'
+import { mapSerial } from '../../expand-machine'
 
 /**
  * @param {object} [options]
  * @param {StateNode} options.stateNode
  * @param {CacheBase} options.cache
  * @param {(...args) => any} options.toMachineConfig
+ * @param {Counters} options.counters The counters of the embedded machines of the generation
  * @param {CountingObject} [options.counter]
  * @param {boolean} [options.disableCallbacks]
  */
-export async function toStateConfig ({ stateNode, cache, toMachineConfig, counter = null, disableCallbacks = false }) {
+export async function toStateConfig ({ stateNode, cache, toMachineConfig, counters, counter = null, disableCallbacks = false }) {
   const machineNode = stateNode.machineNode
   /**
    * Transforms a state ID into a qualified state ID for XState
@@ -25,6 +28,16 @@ export async function toStateConfig ({ stateNode, cache, toMachineConfig, counte
       : id
   }
 
+  // History states are pseudo-states, they can't invoke callbacks or have
+  // transitions and child states
+  if (stateNode.stateType === 'history') {
+    return Object.assign({
+      id: ID(stateNode.id),
+      type: 'history',
+      history: stateNode.history
+    }, toMetaConfig(stateNode))
+  }
+
   let stateConfig = {
     id: ID(stateNode.id),
     type: stateNode.parallel
@@ -32,6 +45,8 @@ export async function toStateConfig ({ stateNode, cache, toMachineConfig, counte
       : (stateNode.final ? 'final' : undefined)
   }
 
+  Object.assign(stateConfig, toMetaConfig(stateNode))
+
   if (!disableCallbacks) {
     stateConfig.invoke = {
       src: rawstring(`callback('${stateNode.machineNode.id}/${stateNode.id}')`)
@@ -44,37 +59,31 @@ export async function toStateConfig ({ stateNode, cache, toMachineConfig, counte
     stateConfig.initial = initialStateNode.id
   }
 
-  if (stateNode.transitions.length) {
-    stateConfig.on = stateNode.transitions.reduce((o, transition) => {
-      if (transition.isForbidden) {
-        o[transition.event] = {
-          actions: []
-        }
-      } else {
-        // NOTE (dschnare): We normalize all transition definitions to objects
-        // since XState is currently buggy in how it handles transitions that are
-        // not defined as objects.
-        // See: https://github.com/davidkpiano/xstate/issues/569
-        o[transition.event] = {
-          target: transition.targets.map(s => {
-            return `#${ID(s)}`
-          }),
-          // NOTE (dschnare): We add an empty action function here to workaround
-          // an XState bug where if the target of a transition is a parent node
-          // then it does not cause an exit and re-entry of the parent node.
-          // However, with an empty action function the transition performs as
-          // expected.
-          actions: rawstring('function () {}')
-        }
-      }
-      return o
-    }, {})
+  if (stateNode.entryActions.length) {
+    stateConfig.onEntry = stateNode.entryActions.slice()
+  }
+
+  if (stateNode.exitActions.length) {
+    stateConfig.onExit = stateNode.exitActions.slice()
+  }
+
+  // Delayed transitions don't handle events, they're taken after a delay
+  const eventTransitionNodes = stateNode.transitions.filter(t => !t.delay)
+  const delayedTransitionNodes = stateNode.transitions.filter(t => !!t.delay)
+
+  if (eventTransitionNodes.length) {
+    stateConfig.on = toTransitionsConfig(eventTransitionNodes, ID)
+  }
+
+  if (delayedTransitionNodes.length) {
+    stateConfig.after = toDelayedTransitionsConfig(delayedTransitionNodes, ID)
   }
 
   if (stateNode.states.length) {
-    const childXstateNodes = await Promise.all(stateNode.states.map(stateNode => {
-      return toStateConfig({ stateNode, cache, toMachineConfig, counter, disableCallbacks })
-    }))
+    // Converted in order so that embedded machines are counted in order
+    const childXstateNodes = await mapSerial(stateNode.states, stateNode => {
+      return toStateConfig({ stateNode, cache, toMachineConfig, counters, counter, disableCallbacks })
+    })
     stateConfig.states = childXstateNodes.reduce((states, childXstateNode, index) => {
       states[stateNode.states[index].id] = childXstateNode
       return states
@@ -82,18 +91,22 @@ export async function toStateConfig ({ stateNode, cache, toMachineConfig, counte
   }
 
   if (stateNode.useDirective) {
-    let machineNode = await cache.findMachineById(stateNode.useDirective.machineId)
+    const { binding } = stateNode.useDirective
+    let machineNode = await cache.findMachine(binding.wireStateFile, binding.machineId)
     const name = stateNode.useDirective.alias || stateNode.useDirective.machineId
-    const machineCounter = Counter.get(machineNode.id)
+    // Counted by the name that prefixes the state IDs, so that different
+    // machines embedded with the same name don't get the same state IDs
+    const machineCounter = counters.get(name)
     machineCounter.incr()
 
-    // Override the machine ID based on the alias of the @use directive
-    if (name !== stateNode.useDirective.machineId) {
+    // Override the machine ID based on the alias of the @use directive or of
+    // the import of the machine
+    if (name !== machineNode.id) {
       machineNode = machineNode.clone()
       machineNode.id = name
     }
 
-    const machineConfig = await toMachineConfig({ machineNode, cache, disableCallbacks, counter: machineCounter })
+    const machineConfig = await toMachineConfig({ machineNode, cache, counters, disableCallbacks, counter: machineCounter })
 
     delete machineConfig.id
 
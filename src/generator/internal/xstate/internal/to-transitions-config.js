@@ -0,0 +1,143 @@
+/* eslint-disable no-unused-vars */
+import { TransitionNode, MachineNode, StateNode } from '../../../../ast-nodes'
+import { rawstring } from './rawstring'
+import { isDuration, parseDuration } from '../../../../duration'
+
+/**
+ * Transforms transition nodes into an XState "on" config object. Events with
+ * more than one transition (i.e. guarded transitions) map to an array of
+ * transition configs that XState tries in order.
+ *
+ * @param {TransitionNode[]} transitionNodes
+ * @param {(id: string) => string} ID Transforms a state ID into a qualified state ID for XState
+ * @param {Object} [options]
+ * @param {(transition: TransitionNode) => string} [options.key] Determines the key of a transition in the config
+ * @return {Object}
+ */
+export function toTransitionsConfig (transitionNodes, ID, { key = transition => transition.event } = {}) {
+  return transitionNodes.reduce((o, transition) => {
+    /** @type {Object} */
+    let transitionConfig = null
+
+    if (transition.isForbidden) {
+      transitionConfig = {
+        actions: transition.actions.slice()
+      }
+    } else {
+      // NOTE (dschnare): We normalize all transition definitions to objects
+      // since XState is currently buggy in how it handles transitions that are
+      // not defined as objects.
+      // See: https://github.com/davidkpiano/xstate/issues/569
+      transitionConfig = {
+        target: transition.targets.map(s => {
+          return `#${ID(s)}`
+        }),
+        // NOTE (dschnare): We add an empty action function here to workaround
+        // an XState bug where if the target of a transition is a parent node
+        // then it does not cause an exit and re-entry of the parent node.
+        // However, with an empty action function the transition performs as
+        // expected.
+        actions: transition.actions.length
+          ? [rawstring('function () {}'), ...transition.actions]
+          : rawstring('function () {}')
+      }
+    }
+
+    if (transition.cond) {
+      transitionConfig.cond = transition.cond
+    }
+
+    Object.assign(transitionConfig, toMetaConfig(transition))
+
+    const k = key(transition)
+
+    if (k in o) {
+      o[k] = [].concat(o[k], transitionConfig)
+    } else {
+      o[k] = transitionConfig
+    }
+
+    return o
+  }, {})
+}
+
+/**
+ * Transforms the delayed transition nodes into an XState "after" config
+ * object. Durations are keyed by their number of milliseconds and named
+ * delays by their name.
+ *
+ * @param {TransitionNode[]} transitionNodes
+ * @param {(id: string) => string} ID Transforms a state ID into a qualified state ID for XState
+ * @return {Object}
+ */
+export function toDelayedTransitionsConfig (transitionNodes, ID) {
+  return toTransitionsConfig(transitionNodes, ID, {
+    key: transition => isDuration(transition.delay)
+      ? String(parseDuration(transition.delay))
+      : transition.delay
+  })
+}
+
+/**
+ * Transforms the description of a machine, state or transition node into the
+ * XState meta config, nodes without a description have no meta.
+ *
+ * @param {MachineNode|StateNode|TransitionNode} node
+ * @return {{ meta?: { description: string } }}
+ */
+export function toMetaConfig (node) {
+  return node.description
+    ? { meta: { description: node.description } }
+    : {}
+}
+
+/**
+ * Collects the names of the delays referenced by the delayed transitions of a
+ * machine and its states. Durations are not included.
+ *
+ * @param {MachineNode|StateNode} node
+ * @return {string[]}
+ */
+export function collectDelayNames (node) {
+  const delayNames = node.transitions
+    .map(transition => transition.delay)
+    .filter(delay => delay && !isDuration(delay))
+
+  return node.states.reduce((delayNames, stateNode) => {
+    return delayNames.concat(collectDelayNames(stateNode))
+  }, delayNames)
+}
+
+/**
+ * Collects the names of the guards referenced by the transitions of a machine
+ * and its states.
+ *
+ * @param {MachineNode|StateNode} node
+ * @return {string[]}
+ */
+export function collectGuardNames (node) {
+  const guardNames = node.transitions
+    .map(transition => transition.cond)
+    .filter(Boolean)
+
+  return node.states.reduce((guardNames, stateNode) => {
+    return guardNames.concat(collectGuardNames(stateNode))
+  }, guardNames)
+}
+
+/**
+ * Collects the names of the actions referenced by the @entry and @exit
+ * directives and the transitions of a machine and its states.
+ *
+ * @param {MachineNode|StateNode} node
+ * @return {string[]}
+ */
+export function collectActionNames (node) {
+  const actionNames = node.entryActions
+    .concat(node.exitActions)
+    .concat(...node.transitions.map(transition => transition.actions))
+
+  return node.states.reduce((actionNames, stateNode) => {
+    return actionNames.concat(collectActionNames(stateNode))
+  }, actionNames)
+}
@@ -6,3 +6,12 @@ export * from './memory-cache'
 export * from './cache-base'
 export * from './generator'
 export * from './compile'
+export * from './reporter'
+export * from './formatter'
+export * from './errors'
+export * from './dependencies'
+export * from './watch'
+export * from './file-system'
+export * from './config'
+export * from './duration'
+export * from './lsp'
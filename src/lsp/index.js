@@ -0,0 +1,216 @@
+import * as Path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+/* eslint-disable-next-line */
+import { Readable, Writable } from 'stream'
+import { findConfigFile, loadConfig } from '../config'
+import { makeConnection, ERROR_CODES } from './internal/connection'
+// eslint-disable-next-line no-unused-vars
+import { makeLanguageService, Location, Diagnostic } from './internal/language-service'
+// eslint-disable-next-line no-unused-vars
+import { Span } from './internal/symbols'
+
+export { makeLanguageService }
+
+// Protocol constants, see the language server protocol specification
+const TEXT_DOCUMENT_SYNC_FULL = 1
+const SEVERITIES = { error: 1, warning: 2 }
+const COMPLETION_ITEM_KINDS = { directive: 14, machine: 7, state: 20 }
+
+/**
+ * Starts a language server for wirestate files that speaks the language
+ * server protocol over a pair of streams (stdin and stdout by default).
+ *
+ * - Diagnostics for the lexical, syntax and semantic errors and the warnings
+ *   of every open file, updated as the file changes
+ * - Go to definition from transition targets to states, from @use directives
+ *   to machines and from imports to the imported declarations and files
+ * - Find references of states, machines and events
+ * - Hover with the path of a state or the qualified ID of a machine
+ * - Completion of directives, the machines of @use directives and the targets
+ *   of transitions
+ *
+ * The project config is looked for in the root of the workspace and above, its
+ * srcDir, actions and strict fields apply. Without a config the root of the
+ * workspace is the srcDir. Everything is read from the local file system.
+ *
+ * @example
+ * const server = startLanguageServer()
+ * server.exited.then(code => process.exit(code))
+ * @param {Object} [options]
+ * @param {Readable} [options.input]
+ * @param {Writable} [options.output]
+ * @return {{ exited: Promise<number> }} The exit code resolves when the client asks the server to exit or closes the input
+ */
+export function startLanguageServer ({ input = process.stdin, output = process.stdout } = {}) {
+  const connection = makeConnection({ input, output })
+  /** @type {ReturnType<typeof makeLanguageService>} */
+  let service = null
+  let srcDir = ''
+  let isShutdown = false
+  /** @type {Map<string, number>} The version of each open document */
+  const versions = new Map()
+  /** @type {(code: number) => void} */
+  let exit = null
+  const exited = new Promise(resolve => { exit = resolve })
+
+  /** @param {string} uri */
+  const toWireStateFile = uri => {
+    return Path.relative(Path.resolve(srcDir), fileURLToPath(uri))
+  }
+
+  /** @param {string} wireStateFile */
+  const toUri = wireStateFile => {
+    return pathToFileURL(Path.resolve(srcDir, wireStateFile)).href
+  }
+
+  /** @param {Span} span */
+  const toRange = ({ line, column, endColumn }) => ({
+    start: { line: line - 1, character: column },
+    end: { line: line - 1, character: endColumn }
+  })
+
+  /** @param {{ line: number, character: number }} position */
+  const toLocation = ({ line, character }) => ({ line: line + 1, column: character })
+
+  /** @param {Location} location */
+  const toLspLocation = ({ wireStateFile, span }) => ({
+    uri: toUri(wireStateFile),
+    range: toRange(span)
+  })
+
+  /** @param {Diagnostic} diagnostic */
+  const toLspDiagnostic = ({ severity, message, span }) => ({
+    range: toRange(span),
+    severity: SEVERITIES[severity],
+    source: 'wirestate',
+    message
+  })
+
+  /**
+   * Publishes the diagnostics of an open document unless it changed while
+   * they were being found.
+   *
+   * @param {string} uri
+   */
+  const publishDiagnostics = async uri => {
+    const version = versions.get(uri)
+    const diagnostics = await service.diagnose(toWireStateFile(uri))
+
+    if (versions.get(uri) === version) {
+      connection.notify('textDocument/publishDiagnostics', {
+        uri,
+        diagnostics: diagnostics.map(toLspDiagnostic)
+      })
+    }
+  }
+
+  /**
+   * Registers a request handler that can only be called once the server has
+   * been initialized.
+   *
+   * @param {string} method
+   * @param {(params: any) => any} handler
+   */
+  const onRequest = (method, handler) => {
+    connection.onRequest(method, params => {
+      if (!service) {
+        throw Object.assign(new Error('Server not initialized'), { code: ERROR_CODES.ServerNotInitialized })
+      }
+
+      return handler(params)
+    })
+  }
+
+  connection.onRequest('initialize', async params => {
+    const rootPath = params.rootUri
+      ? fileURLToPath(params.rootUri)
+      : (params.rootPath || process.cwd())
+    const configFile = await findConfigFile(rootPath)
+    const config = configFile ? await loadConfig(configFile) : null
+
+    srcDir = config ? Path.resolve(config.srcDir) : rootPath
+    service = makeLanguageService({
+      srcDir,
+      actions: config ? config.actions : null,
+      strict: config ? config.strict : false
+    })
+
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: TEXT_DOCUMENT_SYNC_FULL,
+          save: true
+        },
+        definitionProvider: true,
+        referencesProvider: true,
+        hoverProvider: true,
+        completionProvider: { triggerCharacters: ['@', '>', ','] }
+      },
+      serverInfo: { name: 'wirestate-lsp' }
+    }
+  })
+
+  connection.onRequest('shutdown', () => {
+    isShutdown = true
+    return null
+  })
+
+  connection.onNotification('exit', () => {
+    exit(isShutdown ? 0 : 1)
+  })
+
+  connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+    versions.set(textDocument.uri, textDocument.version)
+    service.openDocument(toWireStateFile(textDocument.uri), textDocument.text)
+    return publishDiagnostics(textDocument.uri)
+  })
+
+  connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+    // Changes are always the full text of the document
+    const { text } = contentChanges[contentChanges.length - 1]
+
+    versions.set(textDocument.uri, textDocument.version)
+    service.openDocument(toWireStateFile(textDocument.uri), text)
+    return publishDiagnostics(textDocument.uri)
+  })
+
+  connection.onNotification('textDocument/didSave', () => {
+    // Files that import the saved file are analyzed with its new text
+    return Promise.all([...versions.keys()].map(publishDiagnostics))
+  })
+
+  connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+    versions.delete(textDocument.uri)
+    service.closeDocument(toWireStateFile(textDocument.uri))
+    connection.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] })
+  })
+
+  onRequest('textDocument/definition', async ({ textDocument, position }) => {
+    const locations = await service.definition(toWireStateFile(textDocument.uri), toLocation(position))
+    return locations.map(toLspLocation)
+  })
+
+  onRequest('textDocument/references', async ({ textDocument, position, context }) => {
+    const locations = await service.references(toWireStateFile(textDocument.uri), toLocation(position), {
+      includeDeclaration: context ? context.includeDeclaration : true
+    })
+    return locations.map(toLspLocation)
+  })
+
+  onRequest('textDocument/hover', async ({ textDocument, position }) => {
+    const hover = await service.hover(toWireStateFile(textDocument.uri), toLocation(position))
+    return hover
+      ? { contents: { kind: 'markdown', value: hover.contents }, range: toRange(hover.span) }
+      : null
+  })
+
+  onRequest('textDocument/completion', async ({ textDocument, position }) => {
+    const items = await service.completion(toWireStateFile(textDocument.uri), toLocation(position))
+    return items.map(({ label, kind }) => ({ label, kind: COMPLETION_ITEM_KINDS[kind] }))
+  })
+
+  input.on('end', () => exit(1))
+
+  return { exited }
+}
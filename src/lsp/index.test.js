@@ -0,0 +1,146 @@
+import * as Assert from 'assert'
+import * as Path from 'path'
+import { PassThrough } from 'stream'
+import { pathToFileURL } from 'url'
+import { makeLanguageService, startLanguageServer } from './index'
+
+const APP = `@import { Auth as Login } from './Auth'
+
+@machine App
+  open -> Editing, Done!
+  Use Auth*
+    @use Login
+    next ->
+  Editing
+    @
+  Done!
+`
+
+describe('a language server', function () {
+  it('should report the errors and warnings of a file', async function () {
+    const service = makeLanguageService({ srcDir: 'fixtures', actions: [] })
+
+    service.openDocument('App.wirestate', APP)
+    Assert.deepStrictEqual((await service.diagnose('App.wirestate')).map(d => [d.severity, d.span]), [
+      ['error', { line: 9, column: 4, endColumn: 5 }],
+      ['error', { line: 7, column: 11, endColumn: 12 }]
+    ])
+
+    service.openDocument('App.wirestate', '@machine App\n  go -> Missing / save\n  Idle*\n')
+    const diagnostics = await service.diagnose('App.wirestate')
+
+    Assert.deepStrictEqual(diagnostics.map(d => d.severity), ['error', 'warning'])
+    Assert.ok(diagnostics[0].message.includes('Missing'), 'Unknown target not reported')
+    Assert.deepStrictEqual(diagnostics[1].span, { line: 2, column: 2, endColumn: 4 })
+  })
+
+  it('should go to the definition of states, machines and imports', async function () {
+    const service = makeLanguageService({ srcDir: 'fixtures' })
+    const definition = async (line, column) => {
+      return (await service.definition('App.wirestate', { line, column })).map(l => [l.wireStateFile, l.span.line, l.span.column])
+    }
+
+    service.openDocument('App.wirestate', APP)
+    Assert.deepStrictEqual(await definition(4, 11), [['App.wirestate', 8, 2]])
+    Assert.deepStrictEqual(await definition(4, 21), [['App.wirestate', 10, 2]])
+    Assert.deepStrictEqual(await definition(6, 11), [['Auth.wirestate', 1, 9]])
+    Assert.deepStrictEqual(await definition(1, 20), [['Auth.wirestate', 1, 9]])
+    Assert.deepStrictEqual(await definition(1, 34), [['Auth.wirestate', 1, 0]])
+    Assert.deepStrictEqual(await definition(3, 2), [])
+  })
+
+  it('should find the references of states and machines', async function () {
+    const service = makeLanguageService({ srcDir: 'fixtures' })
+    const references = async (wireStateFile, line, column, options) => {
+      const locations = await service.references(wireStateFile, { line, column }, options)
+      return locations.map(l => [l.wireStateFile, l.span.line, l.span.column])
+    }
+
+    service.openDocument('App.wirestate', APP)
+    Assert.deepStrictEqual(await references('App.wirestate', 8, 3), [
+      ['App.wirestate', 8, 2],
+      ['App.wirestate', 4, 10]
+    ])
+    Assert.deepStrictEqual(await references('Auth.wirestate', 1, 10, { includeDeclaration: false }), [
+      ['App.wirestate', 6, 9],
+      ['App.wirestate', 1, 10],
+      ['App.wirestate', 1, 18]
+    ])
+  })
+
+  it('should describe states by their path and machines by their qualified ID', async function () {
+    const service = makeLanguageService({ srcDir: 'fixtures' })
+
+    service.openDocument('App.wirestate', '@machine App\n  Editing\n    Left\n      go -> Right\n    Right\n')
+    Assert.strictEqual((await service.hover('App.wirestate', { line: 4, column: 13 })).contents, '**State** `App.Editing.Right`')
+    Assert.strictEqual((await service.hover('App.wirestate', { line: 1, column: 10 })).contents, '**Machine** `App.wirestate#App`')
+    Assert.strictEqual(await service.hover('App.wirestate', { line: 4, column: 7 }), null)
+  })
+
+  it('should complete directives, machines and transition targets', async function () {
+    const service = makeLanguageService({ srcDir: 'fixtures' })
+    const completion = async (line, column) => {
+      return (await service.completion('App.wirestate', { line, column })).map(item => item.label)
+    }
+
+    service.openDocument('App.wirestate', APP)
+    Assert.deepStrictEqual(await completion(7, 12), ['Use Auth', 'Editing', 'Done!'])
+    Assert.deepStrictEqual(await completion(9, 5), ['@use', '@entry', '@exit', '@context'])
+    Assert.deepStrictEqual(await completion(6, 9), ['App', 'Login'])
+    Assert.deepStrictEqual(await completion(8, 4), [])
+  })
+
+  it('should speak the language server protocol over streams', async function () {
+    const input = new PassThrough()
+    const output = new PassThrough()
+    const server = startLanguageServer({ input, output })
+    const uri = pathToFileURL(Path.resolve('fixtures/App.wirestate')).href
+    const messages = []
+    let received = Buffer.alloc(0)
+
+    output.on('data', chunk => {
+      received = Buffer.concat([received, chunk])
+      let match = null
+      while ((match = /^Content-Length: (\d+)\r\n\r\n/.exec(received.toString('ascii')))) {
+        const start = match[0].length
+        const end = start + Number(match[1])
+        if (received.length < end) break
+        messages.push(JSON.parse(received.slice(start, end).toString('utf8')))
+        received = received.slice(end)
+      }
+    })
+
+    const send = message => {
+      const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message))
+      input.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`)
+    }
+    const waitFor = async predicate => {
+      while (!messages.some(predicate)) {
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+      return messages.find(predicate)
+    }
+
+    send({ id: 1, method: 'initialize', params: { rootUri: pathToFileURL(Path.resolve('fixtures')).href, capabilities: {} } })
+    const initialized = await waitFor(m => m.id === 1)
+    Assert.strictEqual(initialized.result.capabilities.definitionProvider, true)
+
+    send({ method: 'textDocument/didOpen', params: { textDocument: { uri, languageId: 'wirestate', version: 1, text: '@machine App\n  go -> Missing\n  Idle*\n' } } })
+    const published = await waitFor(m => m.method === 'textDocument/publishDiagnostics')
+    Assert.strictEqual(published.params.uri, uri)
+    Assert.deepStrictEqual(published.params.diagnostics.map(d => [d.severity, d.range.start]), [[1, { line: 1, character: 2 }]])
+
+    send({ method: 'textDocument/didChange', params: { textDocument: { uri, version: 2 }, contentChanges: [{ text: '@machine App\n  go -> Idle\n  Idle*\n' }] } })
+    send({ id: 2, method: 'textDocument/definition', params: { textDocument: { uri }, position: { line: 1, character: 9 } } })
+    const definition = await waitFor(m => m.id === 2)
+    Assert.deepStrictEqual(definition.result, [{ uri, range: { start: { line: 2, character: 2 }, end: { line: 2, character: 6 } } }])
+
+    send({ id: 3, method: 'unknown/method', params: {} })
+    Assert.strictEqual((await waitFor(m => m.id === 3)).error.code, -32601)
+
+    send({ id: 4, method: 'shutdown' })
+    await waitFor(m => m.id === 4)
+    send({ method: 'exit' })
+    Assert.strictEqual(await server.exited, 0)
+  })
+})
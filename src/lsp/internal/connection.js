@@ -0,0 +1,153 @@
+/* eslint-disable-next-line */
+import { Readable, Writable } from 'stream'
+
+/**
+ * The JSON-RPC error codes used by the language server protocol.
+ */
+export const ERROR_CODES = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  ServerNotInitialized: -32002
+}
+
+/**
+ * Factory function that produces a JSON-RPC connection over a pair of streams.
+ * Messages are framed with a Content-Length header like the language server
+ * protocol requires.
+ *
+ * Requests are answered with the result of their handler, a handler can
+ * return a promise. Requests without a handler are answered with a
+ * MethodNotFound error and notifications without a handler are ignored.
+ *
+ * @param {Object} options
+ * @param {Readable} options.input
+ * @param {Writable} options.output
+ */
+export function makeConnection ({ input, output }) {
+  /** @type {Map<string, (params: any) => any>} */
+  const requestHandlers = new Map()
+  /** @type {Map<string, (params: any) => any>} */
+  const notificationHandlers = new Map()
+  let buffer = Buffer.alloc(0)
+
+  /** @param {Object} message */
+  const send = message => {
+    const body = Buffer.from(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message)), 'utf8')
+    output.write(`Content-Length: ${body.length}\r\n\r\n`)
+    output.write(body)
+  }
+
+  /**
+   * @param {number|string} id
+   * @param {number} code
+   * @param {string} message
+   */
+  const sendError = (id, code, message) => {
+    send({ id, error: { code, message } })
+  }
+
+  /** @param {Object} message */
+  const dispatch = message => {
+    const isRequest = message.id !== undefined && message.id !== null
+
+    // Responses to requests of the server are not used
+    if (!message.method) return
+
+    if (isRequest) {
+      const handler = requestHandlers.get(message.method)
+
+      if (!handler) {
+        sendError(message.id, ERROR_CODES.MethodNotFound, `Method not found: ${message.method}`)
+        return
+      }
+
+      Promise.resolve()
+        .then(() => handler(message.params))
+        .then(result => {
+          send({ id: message.id, result: result === undefined ? null : result })
+        }, error => {
+          sendError(message.id, error.code || ERROR_CODES.InternalError, error.message)
+        })
+    } else {
+      const handler = notificationHandlers.get(message.method)
+
+      if (handler) {
+        Promise.resolve()
+          .then(() => handler(message.params))
+          .catch(error => {
+            send({ method: 'window/logMessage', params: { type: 1, message: error.stack || error.message } })
+          })
+      }
+    }
+  }
+
+  /** Dispatches every complete message in the buffer */
+  const read = () => {
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n')
+
+      if (headerEnd < 0) return
+
+      const header = buffer.slice(0, headerEnd).toString('ascii')
+      const match = /Content-Length: *(\d+)/i.exec(header)
+      const start = headerEnd + 4
+
+      if (!match) {
+        buffer = buffer.slice(start)
+        continue
+      }
+
+      const end = start + Number(match[1])
+
+      if (buffer.length < end) return
+
+      const body = buffer.slice(start, end).toString('utf8')
+      buffer = buffer.slice(end)
+
+      let message = null
+
+      try {
+        message = JSON.parse(body)
+      } catch (error) {
+        sendError(null, ERROR_CODES.ParseError, `Invalid JSON: ${error.message}`)
+        continue
+      }
+
+      dispatch(message)
+    }
+  }
+
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)])
+    read()
+  })
+
+  return {
+    /**
+     * @param {string} method
+     * @param {(params: any) => any} handler
+     */
+    onRequest (method, handler) {
+      requestHandlers.set(method, handler)
+    },
+
+    /**
+     * @param {string} method
+     * @param {(params: any) => any} handler
+     */
+    onNotification (method, handler) {
+      notificationHandlers.set(method, handler)
+    },
+
+    /**
+     * Sends a notification to the client.
+     *
+     * @param {string} method
+     * @param {any} params
+     */
+    notify (method, params) {
+      send({ method, params })
+    }
+  }
+}
@@ -0,0 +1,474 @@
+import * as FS from 'fs'
+import * as Path from 'path'
+import { promisify } from 'util'
+import { makeTokenizer } from '../../tokenizer'
+import { makeParser } from '../../parser'
+import { makeAnalyzer, resolveImportFile } from '../../analyzer'
+import { MemoryCache } from '../../memory-cache'
+import { toErrorList } from '../../reporter'
+import { LexicalError } from '../../errors'
+import { walk, resolveImport, qualifyMachineId, ScopeNode, StateNode, MachineNode } from '../../ast-nodes'
+import * as FileSystem from '../../file-system'
+// eslint-disable-next-line no-unused-vars
+import { collectSymbols, findSymbol, spanAt, Span, WireStateSymbol } from './symbols'
+
+const readFile = promisify(FS.readFile)
+
+/**
+ * The directives that start a top-level declaration and the directives of a
+ * state or machine.
+ */
+const TOP_LEVEL_DIRECTIVES = ['@import', '@machine', '@event']
+const STATE_DIRECTIVES = ['@use', '@entry', '@exit', '@context']
+
+/**
+ * A wirestate file that has been tokenized and parsed. Files with lexical or
+ * syntax errors are parsed as far as possible.
+ *
+ * @typedef {Object} Document
+ * @prop {string} wireStateFile
+ * @prop {string} text
+ * @prop {Object[]} tokens
+ * @prop {ScopeNode} scopeNode
+ * @prop {WireStateSymbol[]} symbols
+ * @prop {Error[]} errors The lexical or syntax errors
+ */
+
+/**
+ * @typedef {Object} Location
+ * @prop {string} wireStateFile
+ * @prop {Span} span
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @prop {string} severity Either "error" or "warning"
+ * @prop {string} message
+ * @prop {Span} span
+ */
+
+/**
+ * @typedef {Object} CompletionItem
+ * @prop {string} label
+ * @prop {string} kind Either "directive", "machine" or "state"
+ */
+
+/**
+ * Factory function that produces the language features of wirestate files.
+ * Files are read from the srcDir unless their text is set as an open document
+ * (i.e. a file with unsaved changes in an editor). Locations use 1-based lines
+ * and 0-based columns like the rest of the compiler.
+ *
+ * Diagnostics come from the analyzer, which reads imported files from the
+ * srcDir.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.srcDir] The directory where wirestate files are found
+ * @param {string[]} [options.actions] The names of the provided action implementations, actions are not checked when null
+ * @param {boolean} [options.strict] Flag to warn about transitions for events that are not declared
+ */
+export function makeLanguageService ({ srcDir = '', actions = null, strict = false } = {}) {
+  /** @type {Map<string, string>} */
+  const documents = new Map()
+
+  /**
+   * @param {string} wireStateFile
+   * @return {Promise<Document>} The document or null when the file can't be read
+   */
+  const load = async wireStateFile => {
+    if (documents.has(wireStateFile)) {
+      return parseDocument(wireStateFile, documents.get(wireStateFile))
+    }
+
+    try {
+      return parseDocument(wireStateFile, await readFile(Path.resolve(srcDir, wireStateFile), 'utf8'))
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Resolves the declaration a symbol refers to, which can be in another file.
+   *
+   * @param {Document} document
+   * @param {WireStateSymbol} symbol
+   * @return {Promise<{ document: Document, symbol: WireStateSymbol }>} The declaration or null when it can't be resolved
+   */
+  const resolveDeclaration = async (document, symbol) => {
+    if (symbol.declaration) {
+      return { document, symbol }
+    }
+
+    if (symbol.kind === 'state') {
+      /** @type {StateNode} */
+      const stateNode = walk(symbol.machineNode, node => {
+        return node instanceof StateNode && node.id === symbol.name ? node : undefined
+      })
+
+      return declarationOf(document, stateNode)
+    }
+
+    if (symbol.kind === 'machine') {
+      const machineNode = document.scopeNode.machines.find(n => n.id === symbol.name)
+
+      if (machineNode) {
+        return declarationOf(document, machineNode)
+      }
+
+      // Machines of other files are known by the local name of their import
+      const resolved = resolveImport(document.scopeNode, symbol.name)
+
+      return resolved
+        ? resolveExport(resolveImportFile(resolved.importNode.wireStateFile, document.wireStateFile), resolved.name)
+        : null
+    }
+
+    if (symbol.kind === 'import') {
+      return resolveExport(symbol.wireStateFile, symbol.importName)
+    }
+
+    return null
+  }
+
+  /**
+   * @param {string} wireStateFile
+   * @param {string} name
+   * @return {Promise<{ document: Document, symbol: WireStateSymbol }>} The machine or event declaration or null
+   */
+  const resolveExport = async (wireStateFile, name) => {
+    const document = await load(wireStateFile)
+
+    if (!document) return null
+
+    const symbol = document.symbols.find(s => {
+      return s.declaration && (s.kind === 'machine' || s.kind === 'event') && s.name === name
+    })
+
+    return symbol ? { document, symbol } : null
+  }
+
+  /**
+   * Lists the wirestate files of the srcDir and the open documents.
+   *
+   * @return {Promise<string[]>}
+   */
+  const listFiles = async () => {
+    const fileNames = await FileSystem.glob(Path.join(srcDir || '.', '**', '*.wirestate'))
+    const wireStateFiles = fileNames.map(fileName => {
+      return Path.relative(Path.resolve(srcDir), Path.resolve(fileName))
+    })
+
+    return [...new Set(wireStateFiles.concat([...documents.keys()]))].sort()
+  }
+
+  return {
+    /**
+     * Sets the text of a file that is open in an editor, the text is used
+     * instead of the file on disk until the document is closed.
+     *
+     * @param {string} wireStateFile
+     * @param {string} text
+     */
+    openDocument (wireStateFile, text) {
+      documents.set(wireStateFile, text)
+    },
+
+    /** @param {string} wireStateFile */
+    closeDocument (wireStateFile) {
+      documents.delete(wireStateFile)
+    },
+
+    /**
+     * Reports the lexical, syntax and semantic errors and the warnings of a
+     * file. Only the problems located in the file are reported.
+     *
+     * @param {string} wireStateFile
+     * @return {Promise<Diagnostic[]>}
+     */
+    async diagnose (wireStateFile) {
+      const document = await load(wireStateFile)
+
+      if (!document) return []
+
+      const toDiagnostic = severity => error => ({
+        severity,
+        message: error.message,
+        span: spanAt(document.tokens, error.line || 1, error.column || 0)
+      })
+
+      if (document.errors.length) {
+        return document.errors.map(toDiagnostic('error'))
+      }
+
+      /** @type {Error[]} */
+      const warnings = []
+      /** @type {Error[]} */
+      let errors = []
+      const analyzer = makeAnalyzer({
+        cache: new MemoryCache(),
+        srcDir,
+        actions,
+        strict,
+        onWarning: warning => warnings.push(warning)
+      })
+
+      try {
+        await analyzer.analyze(document.scopeNode)
+      } catch (error) {
+        errors = toErrorList(error)
+      }
+
+      // Problems of imported files are reported when they're diagnosed
+      const isLocal = error => !error.fileName || error.fileName === wireStateFile
+
+      return errors.filter(isLocal).map(toDiagnostic('error'))
+        .concat(warnings.filter(isLocal).map(toDiagnostic('warning')))
+    },
+
+    /**
+     * Finds the declaration of the state, machine or import at a location. The
+     * file of an import is located at its start.
+     *
+     * @param {string} wireStateFile
+     * @param {{ line: number, column: number }} location
+     * @return {Promise<Location[]>}
+     */
+    async definition (wireStateFile, { line, column }) {
+      const document = await load(wireStateFile)
+      const symbol = document && findSymbol(document.symbols, line, column)
+
+      if (!symbol) return []
+
+      if (symbol.kind === 'file') {
+        return (await load(symbol.wireStateFile))
+          ? [{ wireStateFile: symbol.wireStateFile, span: { line: 1, column: 0, endColumn: 0 } }]
+          : []
+      }
+
+      const declaration = await resolveDeclaration(document, symbol)
+
+      return declaration
+        ? [{ wireStateFile: declaration.document.wireStateFile, span: declaration.symbol.span }]
+        : []
+    },
+
+    /**
+     * Finds the symbols that refer to the same state, machine or event as the
+     * symbol at a location. States are only referred to in their machine,
+     * machines and events are searched for in every file.
+     *
+     * @param {string} wireStateFile
+     * @param {{ line: number, column: number }} location
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeclaration] Flag to include the declaration
+     * @return {Promise<Location[]>}
+     */
+    async references (wireStateFile, { line, column }, { includeDeclaration = true } = {}) {
+      const document = await load(wireStateFile)
+      const symbol = document && findSymbol(document.symbols, line, column)
+      const declaration = symbol && await resolveDeclaration(document, symbol)
+
+      if (!declaration) return []
+
+      /** @type {Location[]} */
+      const locations = []
+      const keep = (document, symbol) => {
+        if (includeDeclaration || !symbol.declaration) {
+          locations.push({ wireStateFile: document.wireStateFile, span: symbol.span })
+        }
+      }
+
+      if (declaration.symbol.kind === 'state') {
+        declaration.document.symbols
+          .filter(s => s.kind === 'state' && s.machineNode === declaration.symbol.machineNode && s.name === declaration.symbol.name)
+          .forEach(s => keep(declaration.document, s))
+
+        return locations
+      }
+
+      for (const file of await listFiles()) {
+        const document = await load(file)
+
+        if (!document) continue
+
+        for (const symbol of document.symbols) {
+          const resolved = symbol.kind === declaration.symbol.kind || symbol.kind === 'import'
+            ? await resolveDeclaration(document, symbol)
+            : null
+
+          if (
+            resolved &&
+            resolved.document.wireStateFile === declaration.document.wireStateFile &&
+            resolved.symbol.kind === declaration.symbol.kind &&
+            resolved.symbol.name === declaration.symbol.name
+          ) {
+            keep(document, symbol)
+          }
+        }
+      }
+
+      return locations
+    },
+
+    /**
+     * Describes the state or machine at a location. States are described by
+     * their path from their machine (i.e. App.Editing.Left) and machines by
+     * their qualified ID.
+     *
+     * @param {string} wireStateFile
+     * @param {{ line: number, column: number }} location
+     * @return {Promise<{ contents: string, span: Span }>} The Markdown description or null
+     */
+    async hover (wireStateFile, { line, column }) {
+      const document = await load(wireStateFile)
+      const symbol = document && findSymbol(document.symbols, line, column)
+      const declaration = symbol && await resolveDeclaration(document, symbol)
+
+      if (!declaration) return null
+
+      const { node } = declaration.symbol
+
+      if (node instanceof StateNode) {
+        return { contents: `**State** \`${statePath(node)}\``, span: symbol.span }
+      } else if (node instanceof MachineNode) {
+        return { contents: `**Machine** \`${qualifyMachineId(declaration.document.wireStateFile, node.id)}\``, span: symbol.span }
+      }
+
+      return null
+    },
+
+    /**
+     * Completes the directive, the machine of a @use directive or the target
+     * of a transition being typed at a location.
+     *
+     * @param {string} wireStateFile
+     * @param {{ line: number, column: number }} location
+     * @return {Promise<CompletionItem[]>}
+     */
+    async completion (wireStateFile, { line, column }) {
+      const document = await load(wireStateFile)
+
+      if (!document) return []
+
+      const prefix = (document.text.split(/\r?\n/)[line - 1] || '').slice(0, column)
+      const directiveMatch = /^( *)@[A-Za-z]*$/.exec(prefix)
+
+      if (directiveMatch) {
+        const directives = directiveMatch[1].length ? STATE_DIRECTIVES : TOP_LEVEL_DIRECTIVES
+        return directives.map(label => ({ label, kind: 'directive' }))
+      }
+
+      if (/@use\s+["']?[^"']*$/.test(prefix)) {
+        const { scopeNode } = document
+        const importedMachineIds = await Promise.all(scopeNode.imports.map(async importNode => {
+          const file = resolveImportFile(importNode.wireStateFile, wireStateFile)
+          const names = await Promise.all(importNode.specifiers.map(async specifier => {
+            const declaration = await resolveExport(file, specifier.name)
+            return declaration && declaration.symbol.kind === 'machine'
+              ? [specifier.alias || specifier.name]
+              : []
+          }))
+
+          return [].concat(...names)
+        }))
+
+        return scopeNode.machines.map(n => n.id)
+          .concat(...importedMachineIds)
+          .map(label => ({ label, kind: 'machine' }))
+      }
+
+      if (/->[^/]*$/.test(prefix)) {
+        // The machine being typed in is the last one that starts before the location
+        const machineNode = document.scopeNode.machines.filter(n => n.line <= line).pop()
+
+        if (!machineNode) return []
+
+        const stateIds = []
+        walk(machineNode, node => {
+          if (node instanceof StateNode && !stateIds.includes(node.id)) {
+            stateIds.push(node.id)
+          }
+        })
+
+        return stateIds.map(label => ({ label, kind: 'state' }))
+      }
+
+      return []
+    }
+  }
+}
+
+/**
+ * @param {string} wireStateFile
+ * @param {string} text
+ * @return {Document}
+ */
+function parseDocument (wireStateFile, text) {
+  const tokenizer = makeTokenizer({ wireStateFile })
+  const parser = makeParser({ wireStateFile, recover: true })
+  const lines = text.split('\n')
+  let tokens = null
+  let scopeNode = new ScopeNode(wireStateFile)
+  let errors = []
+
+  // Lines with a lexical error (i.e. a directive being typed) are blanked so
+  // that the rest of the file can still be parsed
+  while (!tokens) {
+    try {
+      tokens = tokenizer.tokenize(lines.join('\n'))
+    } catch (error) {
+      if (!(error instanceof LexicalError) || !lines[error.line - 1].trim()) {
+        tokens = []
+      } else {
+        lines[error.line - 1] = ' '.repeat(lines[error.line - 1].length)
+      }
+
+      errors.push(error)
+    }
+  }
+
+  try {
+    scopeNode = parser.parse(tokens)
+    errors = errors.concat(parser.errors)
+  } catch (error) {
+    errors.push(error)
+  }
+
+  return {
+    wireStateFile,
+    text,
+    tokens,
+    scopeNode,
+    symbols: collectSymbols(scopeNode, tokens),
+    errors
+  }
+}
+
+/**
+ * @param {Document} document
+ * @param {MachineNode|StateNode} node
+ * @return {{ document: Document, symbol: WireStateSymbol }} The declaration of the node or null
+ */
+function declarationOf (document, node) {
+  const symbol = document.symbols.find(s => s.declaration && s.node === node)
+  return symbol ? { document, symbol } : null
+}
+
+/**
+ * Forms the path of a state from its machine (i.e. App.Editing.Left).
+ *
+ * @param {StateNode} stateNode
+ * @return {string}
+ */
+function statePath (stateNode) {
+  const ids = []
+  /** @type {StateNode|MachineNode} */
+  let node = stateNode
+
+  while (node instanceof StateNode) {
+    ids.unshift(node.id)
+    node = /** @type {StateNode|MachineNode} */(node.parent)
+  }
+
+  return [node.id].concat(ids).join('.')
+}
@@ -0,0 +1,225 @@
+import {
+  walk,
+  // eslint-disable-next-line no-unused-vars
+  ScopeNode,
+  MachineNode,
+  StateNode,
+  TransitionNode,
+  UseDirectiveNode,
+  ImportNode,
+  EventNode
+} from '../../ast-nodes'
+import { resolveImportFile } from '../../analyzer'
+
+/**
+ * A location in a wirestate file that spans part of a line.
+ *
+ * @typedef {Object} Span
+ * @prop {number} line The 1-based line
+ * @prop {number} column The 0-based column of the first character
+ * @prop {number} endColumn The 0-based column after the last character
+ */
+
+/**
+ * A name in a wirestate file that declares or refers to a state, a machine,
+ * an event or an imported file.
+ *
+ * - "state" symbols are state declarations and transition targets
+ * - "machine" symbols are machine declarations and the machines of @use
+ *   directives, which are known by their local name
+ * - "event" symbols are event declarations
+ * - "import" symbols are the names and aliases of an import
+ * - "file" symbols are the files of an import
+ *
+ * @typedef {Object} WireStateSymbol
+ * @prop {string} kind
+ * @prop {string} name The state ID, machine ID, event name or local name of an import, or the imported file
+ * @prop {boolean} declaration
+ * @prop {Span} span
+ * @prop {MachineNode|StateNode|TransitionNode|UseDirectiveNode|ImportNode|EventNode} node The node the symbol belongs to
+ * @prop {MachineNode} machineNode The machine of a state symbol or null
+ * @prop {string} importName The name of an import symbol in the imported file or null
+ * @prop {string} wireStateFile The imported file of an import or file symbol or null
+ */
+
+/**
+ * Collects the symbols of a parsed wirestate file. The parser only records
+ * where nodes start, so the names are located with the tokens of their line.
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object[]} tokens The tokens the scope was parsed from
+ * @return {WireStateSymbol[]}
+ */
+export function collectSymbols (scopeNode, tokens) {
+  const lines = groupTokensByLine(tokens)
+  /** @type {WireStateSymbol[]} */
+  const symbols = []
+
+  /**
+   * @param {number} line
+   * @param {number} column
+   * @return {Object[]} The tokens of the line that start after the column
+   */
+  const tokensAfter = (line, column) => {
+    return (lines.get(line) || []).filter(token => token.column > column)
+  }
+
+  /**
+   * @param {Object} symbol
+   * @return {void}
+   */
+  const add = symbol => {
+    symbols.push(Object.assign({
+      declaration: false,
+      machineNode: null,
+      importName: null,
+      wireStateFile: null
+    }, symbol))
+  }
+
+  walk(scopeNode, node => {
+    if (node instanceof ImportNode) {
+      const wireStateFile = resolveImportFile(node.wireStateFile, scopeNode.wireStateFile)
+      const tokens = tokensAfter(node.line, node.column)
+
+      node.specifiers.forEach(specifier => {
+        const localName = specifier.alias || specifier.name
+        const base = { kind: 'import', name: localName, node, importName: specifier.name, wireStateFile }
+
+        add(Object.assign({ span: nameSpan(specifier, specifier.name) }, base))
+
+        if (specifier.alias) {
+          const aliasToken = tokens
+            .filter(token => token.column > specifier.column)
+            .find((token, index, tokens) => index > 0 && tokens[index - 1].value === 'as')
+
+          if (aliasToken) {
+            add(Object.assign({ span: nameSpan(aliasToken, specifier.alias) }, base))
+          }
+        }
+      })
+
+      const fileToken = tokens.find(token => token.type === 'string')
+
+      if (fileToken) {
+        add({ kind: 'file', name: wireStateFile, span: tokenSpan(fileToken), node, wireStateFile })
+      }
+    } else if (node instanceof EventNode) {
+      const nameToken = tokensAfter(node.line, node.column).find(token => token.type === 'identifier')
+
+      if (nameToken) {
+        add({ kind: 'event', name: node.name, declaration: true, span: nameSpan(nameToken, node.name), node })
+      }
+    } else if (node instanceof MachineNode) {
+      const idToken = tokensAfter(node.line, node.column).find(token => token.type === 'identifier')
+
+      if (idToken) {
+        add({ kind: 'machine', name: node.id, declaration: true, span: tokenSpan(idToken), node })
+      }
+    } else if (node instanceof StateNode) {
+      const idToken = (lines.get(node.line) || []).find(token => token.column === node.column)
+
+      if (idToken) {
+        add({ kind: 'state', name: node.id, declaration: true, span: tokenSpan(idToken), node, machineNode: node.machineNode })
+      }
+    } else if (node instanceof UseDirectiveNode) {
+      const machineToken = tokensAfter(node.line, node.column).find(token => {
+        return token.type === 'string' || token.type === 'identifier'
+      })
+
+      if (machineToken) {
+        add({ kind: 'machine', name: node.machineId, span: tokenSpan(machineToken), node })
+      }
+    } else if (node instanceof TransitionNode) {
+      const { parent } = node
+      const machineNode = parent instanceof StateNode ? parent.machineNode : /** @type {MachineNode} */(parent)
+      const tokens = tokensAfter(node.line, node.column)
+      const arrowIndex = tokens.findIndex(token => token.value === '->')
+
+      // Targets are the state IDs between the arrow and the actions, a state
+      // ID ends with the operators of the state (i.e. Done!)
+      for (let k = arrowIndex < 0 ? tokens.length : arrowIndex + 1; k < tokens.length; k += 1) {
+        const token = tokens[k]
+
+        if (token.value === '/') break
+        if (token.type !== 'identifier') continue
+
+        let name = token.value
+        while (tokens[k + 1] && '?!^'.includes(tokens[k + 1].value)) {
+          name += tokens[k + 1].value
+          k += 1
+        }
+
+        add({ kind: 'state', name, span: tokenSpan(token), node, machineNode })
+      }
+    }
+  })
+
+  return symbols
+}
+
+/**
+ * Finds the symbol at a location.
+ *
+ * @param {WireStateSymbol[]} symbols
+ * @param {number} line The 1-based line
+ * @param {number} column The 0-based column
+ * @return {WireStateSymbol}
+ */
+export function findSymbol (symbols, line, column) {
+  return symbols.find(({ span }) => {
+    return span.line === line && column >= span.column && column <= span.endColumn
+  }) || null
+}
+
+/**
+ * Determines the span of the token at a location, or of the character at the
+ * location when there is no token there.
+ *
+ * @param {Object[]} tokens
+ * @param {number} line The 1-based line
+ * @param {number} column The 0-based column
+ * @return {Span}
+ */
+export function spanAt (tokens, line, column) {
+  const token = tokens.find(token => {
+    return token.line === line && token.column === column && token.raw.trim()
+  })
+
+  return token ? tokenSpan(token) : { line, column, endColumn: column + 1 }
+}
+
+/**
+ * @param {Object[]} tokens
+ * @return {Map<number, Object[]>} The tokens of each line, without whitespace, indents and comments
+ */
+function groupTokensByLine (tokens) {
+  const lines = new Map()
+
+  tokens
+    .filter(token => !['whitespace', 'indent', 'comment'].includes(token.type))
+    .forEach(token => {
+      if (!lines.has(token.line)) lines.set(token.line, [])
+      lines.get(token.line).push(token)
+    })
+
+  return lines
+}
+
+/**
+ * @param {{ line: number, column: number, raw: string }} token
+ * @return {Span}
+ */
+function tokenSpan (token) {
+  // Identifiers can end with the spaces before a comment or the end of a line
+  return nameSpan(token, token.raw.trimRight())
+}
+
+/**
+ * @param {{ line: number, column: number }} location
+ * @param {string} name
+ * @return {Span}
+ */
+function nameSpan ({ line, column }, name) {
+  return { line, column, endColumn: column + name.length }
+}
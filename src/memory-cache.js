@@ -79,6 +79,12 @@ export class MemoryCache extends CacheBase {
    * @param {string} machineId
    */
   async findMachineById (machineId) {
+    // Qualified IDs (i.e. "forms/Login.wirestate#Form") name the file to search
+    const k = machineId.lastIndexOf('#')
+    if (k >= 0) {
+      return this.findMachine(machineId.slice(0, k), machineId.slice(k + 1))
+    }
+
     for (let wireStateFile of this.keys) {
       const scopeNode = await this._table.get(wireStateFile)
 
@@ -92,10 +98,27 @@ export class MemoryCache extends CacheBase {
     return null
   }
 
+  /**
+   * @inheritdoc
+   * @param {string} wireStateFile
+   * @param {string} machineId
+   */
+  async findMachine (wireStateFile, machineId) {
+    const scopeNode = await this.get(wireStateFile)
+
+    if (!scopeNode) return null
+
+    return scopeNode.machines.find(machineNode => {
+      return machineNode.id === machineId
+    }) || null
+  }
+
   toJSON () {
     let json = {}
 
-    for (let wireStateFile of this._scopes.keys()) {
+    // Ordered by file name so that the JSON doesn't depend on the order the
+    // files were loaded
+    for (let wireStateFile of [...this._scopes.keys()].sort()) {
       json[wireStateFile] = this._scopes.get(wireStateFile)
     }
 
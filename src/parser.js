@@ -1,13 +1,51 @@
 import * as Path from 'path'
-import { StateNode, TransitionNode, ImportNode, ScopeNode, MachineNode, UseDirectiveNode } from './ast-nodes'
+import { StateNode, TransitionNode, ImportNode, ScopeNode, MachineNode, UseDirectiveNode, ActionDirectiveNode, ContextNode, EventNode, walk } from './ast-nodes'
 import { SyntaxError } from './errors'
 
-const makeScanner = (tokens, { wireStateFile = '' } = {}) => {
+/**
+ * Reads the doc comments of a file, the ## comments on their own line. A block
+ * of doc comments describes the node on the line right after it.
+ *
+ * @param {Object[]} tokens
+ * @return {Map<number, string>} The description of the node on each line
+ */
+const readDescriptions = (tokens) => {
+  const descriptions = new Map()
+  let block = []
+
+  tokens
+    .filter(t => t.type !== 'whitespace' && t.type !== 'indent')
+    .forEach((token, index, tokens) => {
+      const previous = tokens[index - 1]
+      const isOwnLine = !previous || previous.line < token.line
+      const isAfterBlock = block.length > 0 && block[block.length - 1].line === token.line - 1
+
+      if (token.type === 'comment' && token.value.startsWith('#') && isOwnLine) {
+        block = isAfterBlock ? block.concat(token) : [token]
+      } else {
+        if (token.type !== 'comment' && isOwnLine && isAfterBlock) {
+          // The ## and the space after it are not part of the description
+          const lines = block.map(t => t.value.slice(1).replace(/^ /, '').trimRight())
+          descriptions.set(token.line, lines.join('\n'))
+        }
+
+        block = []
+      }
+    })
+
+  return descriptions
+}
+
+const makeScanner = (tokens, { wireStateFile = '', recover = false, trivia = false } = {}) => {
+  const descriptions = readDescriptions(tokens)
+
   // Remove the comments and whitespace
   tokens = tokens.filter(t => t.type !== 'comment' && t.type !== 'whitespace')
 
   let i = 0
   let token = tokens[i]
+  /** @type {SyntaxError[]} */
+  const errors = []
 
   const reset = () => {
     i = 0
@@ -19,7 +57,7 @@ const makeScanner = (tokens, { wireStateFile = '' } = {}) => {
       message = message || `Unexpected token ${token.type}:"${token.value}"`
       throw new SyntaxError(`Syntax error near line ${token.line}.\n${message}`, { line: token.line, column: token.column, fileName: wireStateFile })
     } else {
-      throw new SyntaxError('Unexpected end of input')
+      throw new SyntaxError('Unexpected end of input', { fileName: wireStateFile })
     }
   }
 
@@ -126,67 +164,179 @@ const makeScanner = (tokens, { wireStateFile = '' } = {}) => {
     }
   }
 
+  /**
+   * Skips tokens until the start of the next line that is indented at or
+   * below the specified indentation. Blank lines are skipped over.
+   *
+   * @param {Object} options
+   * @param {number} options.start The token index where the failed parse started
+   * @param {number} options.indent The indentation of the failed line
+   */
+  const synchronize = ({ start, indent }) => {
+    // Always make progress so we never fail on the same token twice
+    if (i === start) advance()
+
+    for (; i < tokens.length; advance()) {
+      const next = tokens[i + 1]
+      const isLineStart = token.type === 'indent' &&
+        token.value.length <= indent &&
+        !(next && next.type === 'indent')
+
+      if (isLineStart) break
+    }
+  }
+
+  /**
+   * Records a syntax error and resynchronizes the scanner when in recovery
+   * mode, otherwise rethrows the error.
+   *
+   * @param {Error} error
+   * @param {Object} options
+   * @param {number} options.start The token index where the failed parse started
+   * @param {number} options.indent The indentation of the failed line
+   */
+  const recoverFrom = (error, { start, indent }) => {
+    if (!recover || !(error instanceof SyntaxError)) {
+      throw error
+    }
+
+    errors.push(error)
+    synchronize({ start, indent })
+  }
+
+  /**
+   * Records the offsets of the source text of a node when parsing with
+   * trivia. The node ends with the last token consumed before the next line.
+   *
+   * @param {{ start: number, end: number }} node
+   * @param {number} start The token index where the node starts
+   */
+  const recordSpan = (node, start) => {
+    if (!trivia) return
+
+    let last = i - 1
+    while (last > start && tokens[last].type === 'indent') last -= 1
+
+    const lastToken = tokens[last]
+    node.start = tokens[start].start
+    // Identifiers can end with the spaces before a comment
+    node.end = lastToken.type === 'identifier'
+      ? lastToken.start + lastToken.raw.trimRight().length
+      : lastToken.end
+  }
+
+  /**
+   * @param {number} line
+   * @return {string} The description of the node on the line or null
+   */
+  const descriptionOf = (line) => {
+    return descriptions.get(line) || null
+  }
+
   return {
     get token () { return token },
     get index () { return i },
+    get errors () { return errors },
     advance,
     look,
     reset,
     consume,
     canConsumeTo,
     consumeTo,
-    syntaxError
+    syntaxError,
+    recoverFrom,
+    recordSpan,
+    descriptionOf
   }
 }
 
+/**
+ * Wraps a parse function so the node it returns records its source text
+ * offsets when parsing with trivia.
+ *
+ * @param {(scanner: any, options?: any) => any} parse
+ * @return {(scanner: any, options?: any) => any}
+ */
+const spanned = (parse) => (scanner, options) => {
+  const start = scanner.index
+  const node = parse(scanner, options)
+  scanner.recordSpan(node, start)
+  return node
+}
+
 const parseScopeNode = (scanner, { wireStateFile = '' } = {}) => {
   const scopeNode = new ScopeNode(wireStateFile)
   let importNodesValid = true
   let indent = 0
 
   while (scanner.token) {
-    if (scanner.look({ type: 'indent' })) {
-      indent = scanner.consume({ type: 'indent' }).value.length
-    } else if (importNodesValid && scanner.look({ value: '@import' })) {
-      if (indent !== 0) {
-        throw scanner.syntaxError(`Expected indentation 0 but got ${indent}`)
-      }
+    const start = scanner.index
 
-      const importNode = parseImportNode(scanner)
-      importNode.parent = scopeNode
-      scopeNode.imports.push(importNode)
-    } else if (scanner.look({ value: '@machine' })) {
-      if (indent !== 0) {
-        throw scanner.syntaxError(`Expected indentation 0 but got ${indent}`)
-      }
+    try {
+      if (scanner.look({ type: 'indent' })) {
+        indent = scanner.consume({ type: 'indent' }).value.length
+      } else if (importNodesValid && scanner.look({ value: '@import' })) {
+        if (indent !== 0) {
+          throw scanner.syntaxError(`Expected indentation 0 but got ${indent}`)
+        }
 
-      importNodesValid = false
-      const machineNode = parseMachineNode(scanner)
-      machineNode.parent = scopeNode
-      scopeNode.machines.push(machineNode)
-    } else {
-      throw scanner.syntaxError()
+        const importNode = parseImportNode(scanner)
+        importNode.parent = scopeNode
+        scopeNode.imports.push(importNode)
+      } else if (scanner.look({ value: '@machine' })) {
+        if (indent !== 0) {
+          throw scanner.syntaxError(`Expected indentation 0 but got ${indent}`)
+        }
+
+        importNodesValid = false
+        const machineNode = parseMachineNode(scanner)
+        machineNode.parent = scopeNode
+        scopeNode.machines.push(machineNode)
+      } else if (scanner.look({ value: '@event' })) {
+        if (indent !== 0) {
+          throw scanner.syntaxError(`Expected indentation 0 but got ${indent}`)
+        }
+
+        importNodesValid = false
+        const eventNode = parseEventNode(scanner)
+        eventNode.parent = scopeNode
+        scopeNode.events.push(eventNode)
+      } else {
+        throw scanner.syntaxError()
+      }
+    } catch (error) {
+      // Skip to the next top-level declaration
+      scanner.recoverFrom(error, { start, indent: 0 })
     }
   }
 
   return scopeNode
 }
 
-const parseImportNode = (scanner) => {
-  // @import { a, b, c } from 'file'
+const parseImportNode = spanned((scanner) => {
+  // @import { a, b as c } from 'file'
   const firstToken = scanner.consume({ value: '@import' })
   scanner.consume({ value: '{' })
 
-  const ids = []
-  while (scanner.look({ type: 'identifier' })) {
+  const specifiers = []
+  while (scanner.look({ type: 'identifier' }) || scanner.look({ value: ',' })) {
     if (scanner.look({ value: ',' })) {
       scanner.consume({ value: ',' })
     } else {
-      ids.push(scanner.consume({ type: 'identifier' }).value)
+      const nameToken = scanner.token
+      const name = parseDottedName(scanner)
+      let alias = null
+
+      if (scanner.look({ value: 'as' })) {
+        scanner.consume({ value: 'as' })
+        alias = parseDottedName(scanner)
+      }
+
+      specifiers.push({ name, alias, line: nameToken.line, column: nameToken.column })
     }
   }
 
-  if (ids.length === 0) {
+  if (specifiers.length === 0) {
     throw scanner.syntaxError()
   }
 
@@ -194,13 +344,74 @@ const parseImportNode = (scanner) => {
   scanner.consume({ value: 'from' })
   const wireStateFile = scanner.consume({ type: 'string' }).value
 
-  const importNode = new ImportNode(ids, wireStateFile)
+  const importNode = new ImportNode(specifiers, wireStateFile)
   importNode.line = firstToken.line
   importNode.column = firstToken.column
   return importNode
+})
+
+const parseEventNode = spanned((scanner) => {
+  // @event name { field: type, optionalField?: type }
+  const firstToken = scanner.consume({ value: '@event' })
+  const name = parseDottedName(scanner)
+  const fields = []
+
+  if (scanner.look({ value: '{' })) {
+    scanner.consume({ value: '{' })
+
+    // Fields can be written on several lines
+    const skipIndents = () => {
+      while (scanner.look({ type: 'indent' })) scanner.consume({ type: 'indent' })
+    }
+
+    skipIndents()
+
+    while (!scanner.look({ value: '}' })) {
+      const nameToken = scanner.consume('identifier')
+      const optional = scanner.look({ value: '?' })
+
+      if (optional) scanner.consume({ value: '?' })
+
+      scanner.consume({ value: ':' })
+      fields.push({
+        name: nameToken.value,
+        type: scanner.consume('identifier').value,
+        optional,
+        line: nameToken.line,
+        column: nameToken.column
+      })
+      skipIndents()
+
+      if (scanner.look({ value: ',' })) {
+        scanner.consume({ value: ',' })
+        skipIndents()
+      } else {
+        break
+      }
+    }
+
+    scanner.consume({ value: '}' })
+  }
+
+  const eventNode = new EventNode(name, fields)
+  eventNode.line = firstToken.line
+  eventNode.column = firstToken.column
+  return eventNode
+})
+
+const parseDottedName = (scanner) => {
+  // name or name.something else
+  let name = scanner.consume({ type: 'identifier' }).value
+
+  while (scanner.look({ value: '.' })) {
+    name += scanner.consume({ value: '.' }).value
+    name += scanner.consume({ type: 'identifier' }).value
+  }
+
+  return name
 }
 
-const parseMachineNode = (scanner) => {
+const parseMachineNode = spanned((scanner) => {
   const firstToken = scanner.consume({ value: '@machine' })
   const machineId = scanner.consume({ type: 'identifier' }).value
   const machineNode = new MachineNode(machineId)
@@ -208,59 +419,95 @@ const parseMachineNode = (scanner) => {
 
   machineNode.line = firstToken.line
   machineNode.column = firstToken.column
+  machineNode.description = scanner.descriptionOf(firstToken.line)
 
   while (scanner.token) {
-    if (scanner.look({ type: 'indent' })) {
-      if (scanner.look([{ type: 'indent' }, { value: '@machine' }])) {
-        break
-      } else {
-        indent = scanner.consume({ type: 'indent' }).value.length
-      }
-    } else if (scanner.look({ value: '@machine' })) {
-      throw scanner.syntaxError()
-    } else if (scanner.look('identifier') || scanner.look({ value: '*' })) {
-      // Is indentation too much?
-      if (indent > 2) {
-        throw scanner.syntaxError(`Expected indentation 2 but got ${indent}`)
-      }
+    const start = scanner.index
 
-      if (indent < 2) {
-        throw scanner.syntaxError('Unexpected dedentation')
-      }
+    try {
+      if (scanner.look({ type: 'indent' })) {
+        if (scanner.look([{ type: 'indent' }, { value: '@machine' }])) {
+          break
+        } else {
+          indent = scanner.consume({ type: 'indent' }).value.length
+        }
+      } else if (scanner.look({ value: '@machine' })) {
+        throw scanner.syntaxError()
+      } else if (scanner.look('identifier') || scanner.look({ value: '*' })) {
+        // Is indentation too much?
+        if (indent > 2) {
+          throw scanner.syntaxError(`Expected indentation 2 but got ${indent}`)
+        }
 
-      // event ->
-      // event.something else ->
-      // * ->
-      if (scanner.canConsumeTo({ value: '->' })) {
-        machineNode.transitions.push(Object.assign(
-          parseTransitionNode(scanner), { parent: machineNode }
-        ))
-      } else if (scanner.look('identifier')) { // another state
-        // child state
-        machineNode.states.push(Object.assign(
-          parseStateNode(scanner, { indentLevel: indent }), { parent: machineNode }
+        if (indent < 2) {
+          throw scanner.syntaxError('Unexpected dedentation')
+        }
+
+        // event ->
+        // event.something else ->
+        // * ->
+        if (scanner.canConsumeTo({ value: '->' })) {
+          machineNode.transitions.push(Object.assign(
+            parseTransitionNode(scanner), { parent: machineNode }
+          ))
+        } else if (scanner.look('identifier')) { // another state
+          // child state
+          machineNode.states.push(Object.assign(
+            parseStateNode(scanner, { indentLevel: indent }), { parent: machineNode }
+          ))
+        } else {
+          throw scanner.syntaxError()
+        }
+      } else if (scanner.look({ value: '@entry' }) || scanner.look({ value: '@exit' })) {
+        if (indent > 2) {
+          throw scanner.syntaxError(`Expected indentation 2 but got ${indent}`)
+        }
+
+        if (indent < 2) {
+          throw scanner.syntaxError('Unexpected dedentation')
+        }
+
+        machineNode.actionDirectives.push(Object.assign(
+          parseActionDirectiveNode(scanner), { parent: machineNode }
         ))
+      } else if (scanner.look({ value: '@context' })) {
+        if (indent > 2) {
+          throw scanner.syntaxError(`Expected indentation 2 but got ${indent}`)
+        }
+
+        if (indent < 2) {
+          throw scanner.syntaxError('Unexpected dedentation')
+        }
+
+        if (machineNode.context) {
+          // Advance so that when we throw the proper column is reported
+          scanner.consume({ value: '@context' })
+          throw scanner.syntaxError('Multiple @context encountered')
+        }
+
+        machineNode.context = Object.assign(
+          parseContextNode(scanner, { indentLevel: indent }), { parent: machineNode }
+        )
       } else {
         throw scanner.syntaxError()
       }
-    } else {
-      throw scanner.syntaxError()
+    } catch (error) {
+      scanner.recoverFrom(error, { start, indent })
     }
   }
 
   return machineNode
-}
+})
 
-const parseTransitionNode = (scanner) => {
+const parseTransitionNode = spanned((scanner) => {
+  const firstToken = scanner.token
   let eventDescriptor = ''
-  let firstToken = null
+  let delay = null
 
   if (scanner.look({ value: '*' })) {
-    firstToken = scanner.consume({ value: '*' })
-    eventDescriptor = firstToken.value
+    eventDescriptor = scanner.consume({ value: '*' }).value
   } else {
-    firstToken = scanner.consume({ type: 'identifier' })
-    eventDescriptor += firstToken.value
+    eventDescriptor += scanner.consume({ type: 'identifier' }).value
 
     while (scanner.look({ value: '.' })) {
       eventDescriptor += scanner.consume({ value: '.' }).value
@@ -272,6 +519,25 @@ const parseTransitionNode = (scanner) => {
     }
   }
 
+  // Delayed transition (i.e. after 300ms -> Target or after sessionTimeout -> Target),
+  // after is only a keyword when it's the first word of a transition so names
+  // can contain it (i.e. retry after failure -> Idle)
+  const firstWord = firstToken.value.split(' ')[0]
+
+  if (firstToken.type === 'identifier' && firstWord === 'after' && firstToken.value !== firstWord) {
+    delay = eventDescriptor.slice(firstWord.length).trim()
+    eventDescriptor = `after ${delay}`
+  }
+
+  // Optional guard condition (i.e. event [guard] -> Target)
+  let cond = null
+
+  if (scanner.look({ value: '[' })) {
+    scanner.consume({ value: '[' })
+    cond = scanner.consume('identifier').value
+    scanner.consume({ value: ']' })
+  }
+
   scanner.consume({ value: '->' })
   // Event target can be a comma separated list of state names
   let target = ''
@@ -284,6 +550,13 @@ const parseTransitionNode = (scanner) => {
 
       if (scanner.look({ value: '?' }) || scanner.look({ value: '!' })) {
         target += scanner.consume({ type: 'operator' }).value
+      } else if (scanner.look({ value: '^' })) {
+        // Shallow (^) or deep (^^) history state
+        target += scanner.consume({ value: '^' }).value
+
+        if (scanner.look({ value: '^' })) {
+          target += scanner.consume({ value: '^' }).value
+        }
       }
 
       if (scanner.look({ value: ',' })) {
@@ -294,19 +567,32 @@ const parseTransitionNode = (scanner) => {
     }
   }
 
+  // Optional actions (i.e. event -> Target / doThing, doOtherThing)
+  let actions = []
+
+  if (scanner.look({ value: '/' })) {
+    scanner.consume({ value: '/' })
+    actions = parseActionNames(scanner)
+  }
+
   const node = new TransitionNode(eventDescriptor, target)
   Object.assign(node, {
+    delay,
+    cond,
+    actions,
+    description: scanner.descriptionOf(firstToken.line),
     line: firstToken.line,
     column: firstToken.column
   })
 
   return node
-}
+})
 
-const parseStateNode = (scanner, { indentLevel }) => {
+const parseStateNode = spanned((scanner, { indentLevel }) => {
   const idToken = scanner.consume('identifier')
   const node = new StateNode(idToken.value, indentLevel)
   Object.assign(node, {
+    description: scanner.descriptionOf(idToken.line),
     line: idToken.line,
     column: idToken.column
   })
@@ -316,9 +602,10 @@ const parseStateNode = (scanner, { indentLevel }) => {
     operators.push(scanner.consume('operator'))
   }
 
-  // (all) *?&!
+  // (all) *?&!^
   // (valid co-operators) &!*
   // (valid co-operators) ?*
+  // (valid co-operators) ^ or ^^ alone
 
   if (operators.find(s => s.value === '?')) {
     if (operators.find(s => ['!', '&'].indexOf(s.value) >= 0)) {
@@ -326,6 +613,18 @@ const parseStateNode = (scanner, { indentLevel }) => {
     }
   }
 
+  const historyOperators = operators.filter(s => s.value === '^')
+
+  if (historyOperators.length) {
+    if (historyOperators.length > 2 || historyOperators.length < operators.length) {
+      throw scanner.syntaxError('Unsupported state operator')
+    }
+
+    node.stateType = 'history'
+    node.history = historyOperators.length === 2 ? 'deep' : 'shallow'
+    node.id += historyOperators.map(s => s.value).join('')
+  }
+
   operators.forEach(s => {
     if (s.value === '*') node.initial = true
     if (s.value === '!') {
@@ -340,70 +639,94 @@ const parseStateNode = (scanner, { indentLevel }) => {
   })
 
   while (scanner.token) {
-    const indent = scanner.consume({ type: 'indent' }).value.length
+    const start = scanner.index
+    let indent = indentLevel + 2
 
-    if (scanner.look({ value: '@machine' })) {
-      scanner.advance(-1)
-      break
-    } else if (scanner.look('identifier') || scanner.look({ value: '*' })) {
-      // Is indentation too much?
-      if (indent > indentLevel + 2) {
-        throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
-      }
+    try {
+      indent = scanner.consume({ type: 'indent' }).value.length
 
-      // event ->
-      // event.something else ->
-      // * ->
-      if (scanner.canConsumeTo({ value: '->' })) {
-        if (indent < indentLevel + 2) {
-          throw scanner.syntaxError('Unexpected dedentation')
+      if (scanner.look({ value: '@machine' })) {
+        scanner.advance(-1)
+        break
+      } else if (scanner.look('identifier') || scanner.look({ value: '*' })) {
+        // Is indentation too much?
+        if (indent > indentLevel + 2) {
+          throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
         }
 
-        node.transitions.push(Object.assign(
-          parseTransitionNode(scanner), { parent: node }
-        ))
-      } else if (scanner.look('identifier')) { // another state
-        if (indent <= indentLevel) { // ancestor state
-          // Backtrack so the ancestor parent will re-read the indentation
-          scanner.advance(-1)
-          break
-        } else { // child state
-          if (node.stateType === 'transient') {
-            throw scanner.syntaxError('Transient states cannot have child states')
+        // event ->
+        // event.something else ->
+        // * ->
+        if (scanner.canConsumeTo({ value: '->' })) {
+          if (indent < indentLevel + 2) {
+            throw scanner.syntaxError('Unexpected dedentation')
           }
 
-          node.states.push(Object.assign(
-            parseStateNode(scanner, { indentLevel: indent }),
-            { parent: node }
+          node.transitions.push(Object.assign(
+            parseTransitionNode(scanner), { parent: node }
           ))
+        } else if (scanner.look('identifier')) { // another state
+          if (indent <= indentLevel) { // ancestor state
+            // Backtrack so the ancestor parent will re-read the indentation
+            scanner.advance(-1)
+            break
+          } else { // child state
+            if (node.stateType === 'transient') {
+              throw scanner.syntaxError('Transient states cannot have child states')
+            }
+
+            if (node.stateType === 'history') {
+              throw scanner.syntaxError('History states cannot have child states')
+            }
+
+            node.states.push(Object.assign(
+              parseStateNode(scanner, { indentLevel: indent }),
+              { parent: node }
+            ))
+          }
+        } else {
+          throw scanner.syntaxError()
+        }
+      } else if (scanner.look({ value: '@use' })) {
+        // Is indentation too much?
+        if (indent > indentLevel + 2) {
+          throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
         }
-      } else {
-        throw scanner.syntaxError()
-      }
-    } else if (scanner.look({ value: '@use' })) {
-      // Is indentation too much?
-      if (indent > indentLevel + 2) {
-        throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
-      }
 
-      if (indent < indentLevel) {
-        throw scanner.syntaxError('Unexpected dedentation')
-      }
+        if (indent < indentLevel) {
+          throw scanner.syntaxError('Unexpected dedentation')
+        }
 
-      if (node.useDirective) {
-        // Advance so that when we throw the proper column is reported
-        scanner.consume({ value: '@use' })
-        throw scanner.syntaxError('Multiple @use encountered')
-      }
+        if (node.useDirective) {
+          // Advance so that when we throw the proper column is reported
+          scanner.consume({ value: '@use' })
+          throw scanner.syntaxError('Multiple @use encountered')
+        }
+
+        node.useDirective = Object.assign(parseUseDirectiveNode(scanner), { parent: node })
+      } else if (scanner.look({ value: '@entry' }) || scanner.look({ value: '@exit' })) {
+        // Is indentation too much?
+        if (indent > indentLevel + 2) {
+          throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
+        }
 
-      node.useDirective = Object.assign(parseUseDirectiveNode(scanner), { parent: node })
+        if (indent < indentLevel + 2) {
+          throw scanner.syntaxError('Unexpected dedentation')
+        }
+
+        node.actionDirectives.push(Object.assign(
+          parseActionDirectiveNode(scanner), { parent: node }
+        ))
+      }
+    } catch (error) {
+      scanner.recoverFrom(error, { start, indent })
     }
   }
 
   return node
-}
+})
 
-const parseUseDirectiveNode = (scanner) => {
+const parseUseDirectiveNode = spanned((scanner) => {
   const typeToken = scanner.consume({ value: '@use' })
 
   const machineId = scanner.look('string')
@@ -427,9 +750,176 @@ const parseUseDirectiveNode = (scanner) => {
   })
 
   return node
+})
+
+const parseActionDirectiveNode = spanned((scanner) => {
+  // @entry doThing, doOtherThing
+  const typeToken = scanner.consume('directive')
+  const node = new ActionDirectiveNode(typeToken.value, parseActionNames(scanner))
+
+  Object.assign(node, {
+    line: typeToken.line,
+    column: typeToken.column
+  })
+
+  return node
+})
+
+const parseActionNames = (scanner) => {
+  const actions = [scanner.consume('identifier').value]
+
+  while (scanner.look({ value: ',' })) {
+    scanner.consume({ value: ',' })
+    actions.push(scanner.consume('identifier').value)
+  }
+
+  return actions
 }
 
-export const makeParser = ({ wireStateFile = '' } = {}) => {
+const parseContextNode = spanned((scanner, { indentLevel }) => {
+  // @context
+  //   name: type = value
+  const typeToken = scanner.consume({ value: '@context' })
+  const fields = []
+
+  while (scanner.look({ type: 'indent' })) {
+    if (scanner.look([{ type: 'indent' }, { type: 'indent' }])) {
+      // Skip blank lines
+      scanner.consume({ type: 'indent' })
+    } else if (scanner.look([{ type: 'indent' }, 'identifier']) && scanner.token.value.length > indentLevel) {
+      const indent = scanner.consume({ type: 'indent' }).value.length
+
+      if (indent !== indentLevel + 2) {
+        throw scanner.syntaxError(`Expected indentation ${indentLevel + 2} but got ${indent}`)
+      }
+
+      fields.push(parseContextField(scanner))
+    } else {
+      break
+    }
+  }
+
+  if (fields.length === 0) {
+    throw scanner.syntaxError('Expected at least one context field')
+  }
+
+  const node = new ContextNode(fields)
+
+  Object.assign(node, {
+    line: typeToken.line,
+    column: typeToken.column
+  })
+
+  return node
+})
+
+const parseContextField = (scanner) => {
+  // name: type = value
+  const nameToken = scanner.consume('identifier')
+  scanner.consume({ value: ':' })
+  const type = scanner.consume('identifier').value
+  let value = null
+
+  if (scanner.look({ value: '=' })) {
+    scanner.consume({ value: '=' })
+    value = parseContextValue(scanner)
+  }
+
+  // Expect the end of the line
+  if (scanner.token && !scanner.look('indent')) {
+    throw scanner.syntaxError()
+  }
+
+  return {
+    name: nameToken.value,
+    type,
+    value,
+    line: nameToken.line,
+    column: nameToken.column
+  }
+}
+
+const parseContextValue = (scanner) => {
+  if (scanner.look('string')) {
+    return scanner.consume('string').value
+  }
+
+  // Numbers with a fraction are read as several tokens (i.e. 1 . 5)
+  let text = ''
+
+  while (scanner.token && !scanner.look('indent')) {
+    text += scanner.token.value
+    scanner.advance()
+  }
+
+  if (text === 'true' || text === 'false') {
+    return text === 'true'
+  } else if (text === 'null') {
+    return null
+  } else if (/^-?[0-9]+(\.[0-9]+)?$/.test(text)) {
+    return parseFloat(text)
+  } else {
+    throw scanner.syntaxError(`Invalid context value "${text}"`)
+  }
+}
+
+/**
+ * Attaches the comments of a file to the nodes parsed from it. A comment at
+ * the end of a line trails the innermost node of that line. A comment on its
+ * own line leads the next node inside the innermost node around it, or trails
+ * that node when no node follows inside it (i.e. comments at the end of the
+ * file trail the scope).
+ *
+ * @param {ScopeNode} scopeNode
+ * @param {Object[]} tokens The tokens the scope was parsed from
+ */
+const attachComments = (scopeNode, tokens) => {
+  const nodes = []
+  walk(scopeNode, node => { nodes.push(node) })
+  // Source order, outer nodes before the nodes they contain
+  nodes.sort((a, b) => a.start - b.start || b.end - a.end)
+
+  tokens
+    .filter(token => token.type !== 'whitespace')
+    .forEach((token, index, tokens) => {
+      if (token.type !== 'comment') return
+
+      const comment = {
+        value: token.value,
+        line: token.line,
+        column: token.column,
+        start: token.start,
+        end: token.end
+      }
+      const previous = tokens[index - 1]
+      const isTrailing = previous && previous.type !== 'indent'
+      const offset = isTrailing ? previous.start : token.start
+      const parent = nodes.filter(node => node.start <= offset && offset < node.end).pop() || scopeNode
+
+      if (isTrailing) {
+        parent.trailingComments.push(comment)
+      } else {
+        const next = nodes.find(node => node.start > token.start)
+
+        if (next && next.start < parent.end) {
+          next.leadingComments.push(comment)
+        } else {
+          parent.trailingComments.push(comment)
+        }
+      }
+    })
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.wireStateFile]
+ * @param {boolean} [options.recover] Flag to keep parsing after a syntax error.
+ *   Syntax errors are recorded in `errors` and a partial ScopeNode is returned.
+ * @param {boolean} [options.trivia] Flag to record the source text offsets of
+ *   every node and attach the comments of the file to them. The tokens must be
+ *   read by a tokenizer with the offsets option.
+ */
+export const makeParser = ({ wireStateFile = '', recover = false, trivia = false } = {}) => {
   if (Path.isAbsolute(wireStateFile)) {
     throw new Error('WireStateFile must be relative')
   }
@@ -438,10 +928,30 @@ export const makeParser = ({ wireStateFile = '' } = {}) => {
     throw new Error('WireStateFile cannot be prefixed with ./ or ../')
   }
 
+  /** @type {SyntaxError[]} */
+  let errors = []
+
   const parse = (tokens) => {
-    const scanner = makeScanner(tokens, { wireStateFile })
-    return parseScopeNode(scanner, { wireStateFile })
+    if (trivia && tokens.some(token => typeof token.start !== 'number')) {
+      throw new Error('Tokens must have offsets to parse trivia')
+    }
+
+    const scanner = makeScanner(tokens, { wireStateFile, recover, trivia })
+    errors = scanner.errors
+    const scopeNode = parseScopeNode(scanner, { wireStateFile })
+
+    if (trivia) {
+      scopeNode.start = 0
+      scopeNode.end = tokens.length ? tokens[tokens.length - 1].end : 0
+      attachComments(scopeNode, tokens)
+    }
+
+    return scopeNode
   }
 
-  return { parse }
+  return {
+    parse,
+    /** The syntax errors recorded by the last parse when in recovery mode */
+    get errors () { return errors.slice() }
+  }
 }
@@ -1,5 +1,8 @@
 import * as Assert from 'assert'
 import { makeParser } from './parser'
+import { makeTokenizer } from './tokenizer'
+import { SyntaxError } from './errors'
+import { TransitionNode, ScopeNode } from './ast-nodes'
 
 describe('a parser', function () {
   it('should parse transitions with single targets', function () {
@@ -91,4 +94,314 @@ describe('a parser', function () {
     Assert.strictEqual(scopeNode.machines[0].states[0].transitions.length, 1)
     Assert.ok(scopeNode.machines[0].states[0].transitions[0].isForbidden)
   })
+
+  it('should parse transitions with guards', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  Home
+    submit [isValid] -> Saving
+    submit -> Home
+  Saving
+`)
+    const scopeNode = parser.parse(tokens)
+    const transitions = scopeNode.machines[0].states[0].transitions
+    Assert.strictEqual(transitions.length, 2)
+    Assert.strictEqual(transitions[0].event, 'submit')
+    Assert.strictEqual(transitions[0].cond, 'isValid')
+    Assert.strictEqual(transitions[0].target, 'Saving')
+    Assert.strictEqual(transitions[1].cond, null)
+
+    const json = JSON.parse(JSON.stringify(transitions[0]))
+    Assert.strictEqual(json.cond, 'isValid')
+    Assert.strictEqual(TransitionNode.fromJSON(json).cond, 'isValid')
+  })
+
+  it('should parse entry, exit and transition actions', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  @entry boot
+  Home
+    @entry focus, track
+    @exit blur
+    submit -> Saving / save
+    cancel -> | / reset
+  Saving
+`)
+    const machineNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON()).machines[0]
+    const homeNode = machineNode.states[0]
+    Assert.deepStrictEqual(machineNode.entryActions, ['boot'])
+    Assert.deepStrictEqual(homeNode.entryActions, ['focus', 'track'])
+    Assert.deepStrictEqual(homeNode.exitActions, ['blur'])
+    Assert.strictEqual(homeNode.actionDirectives[0].parent, homeNode)
+    Assert.strictEqual(homeNode.transitions[0].target, 'Saving')
+    Assert.deepStrictEqual(homeNode.transitions[0].actions, ['save'])
+    Assert.ok(homeNode.transitions[1].isForbidden)
+    Assert.deepStrictEqual(homeNode.transitions[1].actions, ['reset'])
+  })
+
+  it('should parse delayed transitions', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  after sessionTimeout -> Home
+  Home
+    after 1.5s [isIdle] -> Idle / dim
+    after party -> Home
+    after save -> Idle
+    afterwards -> Idle
+    retry after failure -> Cleanup after Save
+  Idle
+  Cleanup after Save
+`)
+    const machineNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON()).machines[0]
+    const transitions = machineNode.states[0].transitions
+    Assert.strictEqual(machineNode.transitions[0].delay, 'sessionTimeout')
+    Assert.strictEqual(transitions[0].event, 'after 1.5s')
+    Assert.strictEqual(transitions[0].delay, '1.5s')
+    Assert.strictEqual(transitions[0].cond, 'isIdle')
+    Assert.deepStrictEqual(transitions[0].actions, ['dim'])
+    Assert.strictEqual(transitions[1].delay, 'party')
+    Assert.strictEqual(transitions[2].event, 'after save')
+    Assert.strictEqual(transitions[2].delay, 'save')
+    Assert.strictEqual(transitions[3].event, 'afterwards')
+    Assert.strictEqual(transitions[3].delay, null)
+    Assert.strictEqual(transitions[4].event, 'retry after failure')
+    Assert.strictEqual(transitions[4].delay, null)
+    Assert.strictEqual(transitions[4].target, 'Cleanup after Save')
+    Assert.strictEqual(machineNode.states[2].id, 'Cleanup after Save')
+  })
+
+  it('should parse shallow and deep history states', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  Tabs
+    Tab History^
+    Deep History^^
+    First
+    Second
+  Settings
+    back -> Tab History^
+    restore -> Deep History^^
+`)
+    const machineNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON()).machines[0]
+    const [shallow, deep] = machineNode.states[0].states
+    Assert.strictEqual(shallow.id, 'Tab History^')
+    Assert.strictEqual(shallow.stateType, 'history')
+    Assert.strictEqual(shallow.history, 'shallow')
+    Assert.strictEqual(deep.id, 'Deep History^^')
+    Assert.strictEqual(deep.history, 'deep')
+    Assert.strictEqual(machineNode.states[0].history, null)
+    Assert.deepStrictEqual(machineNode.states[1].transitions.map(n => n.target), ['Tab History^', 'Deep History^^'])
+
+    Assert.throws(() => parser.parse(tokenizer.tokenize(`
+@machine App
+  Tabs
+    History^*
+`)), /Unsupported state operator/)
+    Assert.throws(() => parser.parse(tokenizer.tokenize(`
+@machine App
+  Tabs
+    History^^^
+`)), /Unsupported state operator/)
+    Assert.throws(() => parser.parse(tokenizer.tokenize(`
+@machine App
+  Tabs
+    History^
+      Nested
+`)), /History states cannot have child states/)
+  })
+
+  it('should parse context declarations', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  @context
+    username: string = "guest"
+    retries: number = 3
+
+    ratio: number = -1.5
+    loggedIn: boolean = false
+    token: string
+  Home
+`)
+    const machineNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON()).machines[0]
+    Assert.strictEqual(machineNode.context.parent, machineNode)
+    Assert.deepStrictEqual(machineNode.context.fields.map(f => [f.name, f.type, f.value, f.line]), [
+      ['username', 'string', 'guest', 4],
+      ['retries', 'number', 3, 5],
+      ['ratio', 'number', -1.5, 7],
+      ['loggedIn', 'boolean', false, 8],
+      ['token', 'string', null, 9]
+    ])
+    Assert.deepStrictEqual(machineNode.context.defaults, { username: 'guest', retries: 3, ratio: -1.5, loggedIn: false, token: null })
+    Assert.deepStrictEqual(machineNode.states.map(n => n.id), ['Home'])
+
+    Assert.throws(() => parser.parse(tokenizer.tokenize(`
+@machine App
+  @context
+    retries: number = many
+`)), /Invalid context value "many"/)
+  })
+
+  it('should parse event declarations', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@import { user.login, App } from './Other'
+@event logout
+@event user.login { username: string, remember?: boolean }
+@event upload {
+  name: string,
+  size: number
+}
+@machine App
+  Home
+`)
+    const scopeNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON())
+    Assert.deepStrictEqual(scopeNode.imports[0].names, ['user.login', 'App'])
+    Assert.deepStrictEqual(scopeNode.events.map(n => n.name), ['logout', 'user.login', 'upload'])
+    Assert.ok(scopeNode.events.every(n => n.parent === scopeNode))
+    Assert.deepStrictEqual(scopeNode.events[0].fields, [])
+    Assert.deepStrictEqual(scopeNode.events[1].fields.map(f => [f.name, f.type, f.optional, f.line]), [
+      ['username', 'string', false, 4],
+      ['remember', 'boolean', true, 4]
+    ])
+    Assert.deepStrictEqual(scopeNode.events[2].fields.map(f => [f.name, f.type, f.optional, f.line]), [
+      ['name', 'string', false, 6],
+      ['size', 'number', false, 7]
+    ])
+    Assert.deepStrictEqual(scopeNode.machines.map(n => n.id), ['App'])
+  })
+
+  it('should parse imports with aliases', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@import { Auth as Login, logout, user.login as sign in } from './Auth'
+@machine App
+  Home
+    @use Login
+`)
+    const scopeNode = ScopeNode.fromJSON(parser.parse(tokens).toJSON())
+    const [importNode] = scopeNode.imports
+    Assert.deepStrictEqual(importNode.specifiers.map(s => [s.name, s.alias, s.line, s.column]), [
+      ['Auth', 'Login', 2, 10],
+      ['logout', null, 2, 25],
+      ['user.login', 'sign in', 2, 33]
+    ])
+    Assert.deepStrictEqual(importNode.names, ['Auth', 'logout', 'user.login'])
+    Assert.deepStrictEqual(importNode.localNames, ['Login', 'logout', 'sign in'])
+  })
+
+  it('should throw on the first syntax error by default', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  Home
+    about -> ,
+`)
+    Assert.throws(() => parser.parse(tokens), SyntaxError)
+  })
+
+  it('should recover from syntax errors when in recovery mode', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate', recover: true })
+    const tokens = tokenizer.tokenize(`
+@machine App
+  Home
+    about -> ,
+    home -> Home
+  About?!
+    Nested
+      back -> Home
+
+  Away
+      gone -> Home
+
+@machine
+  Lost
+
+@machine Other
+  One
+`)
+    const scopeNode = parser.parse(tokens)
+    Assert.deepStrictEqual(parser.errors.map(e => [e.line, e.column]), [[4, 13], [6, 9], [11, 6], [13, 8]])
+    Assert.ok(parser.errors.every(e => e instanceof SyntaxError && e.fileName === 'App.wirestate'))
+    Assert.deepStrictEqual(scopeNode.machines.map(n => n.id), ['App', 'Other'])
+    Assert.deepStrictEqual(scopeNode.machines[0].states.map(n => n.id), ['Home', 'Away'])
+    Assert.deepStrictEqual(scopeNode.machines[0].states[0].transitions.map(n => n.event), ['home'])
+    Assert.deepStrictEqual(scopeNode.machines[1].states.map(n => n.id), ['One'])
+  })
+
+  it('should describe nodes with the doc comments right above them', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate' })
+    const parser = makeParser({ wireStateFile: 'App.wirestate' })
+    const scopeNode = parser.parse(tokenizer.tokenize(`## The app
+##
+##   indented
+@machine App
+  ## Not a description
+
+  # Not a doc comment
+  Idle* ## Not on its own line
+    ## Goes
+    go -> Done!
+  ## Done
+  # breaks the block
+  Done!
+`))
+    const [machineNode] = scopeNode.machines
+
+    Assert.strictEqual(machineNode.description, 'The app\n\n  indented')
+    Assert.strictEqual(machineNode.states[0].description, null)
+    Assert.strictEqual(machineNode.states[0].transitions[0].description, 'Goes')
+    Assert.strictEqual(machineNode.states[1].description, null)
+    Assert.strictEqual(ScopeNode.fromJSON(scopeNode.toJSON()).machines[0].description, 'The app\n\n  indented')
+  })
+
+  it('should attach comments and source offsets to nodes when parsing with trivia', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'Auth.wirestate', offsets: true })
+    const parser = makeParser({ wireStateFile: 'Auth.wirestate', trivia: true })
+    const sourceText = `@machine Auth # sign in
+  # <- cancel
+  # <- authenticated
+
+  Waiting For Input*   # initial
+    authenticate -> Authenticating
+  Authenticating
+# the end
+`
+    const scopeNode = parser.parse(tokenizer.tokenize(sourceText))
+    const [machineNode] = scopeNode.machines
+    const [waitingNode, authenticatingNode] = machineNode.states
+    const text = node => sourceText.slice(node.start, node.end)
+
+    Assert.strictEqual(text(waitingNode), 'Waiting For Input*   # initial\n    authenticate -> Authenticating')
+    Assert.strictEqual(text(waitingNode.transitions[0]), 'authenticate -> Authenticating')
+    Assert.strictEqual(text(authenticatingNode), 'Authenticating')
+    Assert.deepStrictEqual(machineNode.trailingComments.map(c => c.value), [' sign in'])
+    Assert.deepStrictEqual(waitingNode.leadingComments.map(c => c.value), [' <- cancel', ' <- authenticated'])
+    Assert.deepStrictEqual(waitingNode.trailingComments.map(c => c.value), [' initial'])
+    Assert.deepStrictEqual(scopeNode.trailingComments.map(c => [c.value, c.line, c.column]), [[' the end', 8, 0]])
+    Assert.deepStrictEqual(ScopeNode.fromJSON(scopeNode.toJSON()).toJSON(), scopeNode.toJSON())
+    Assert.deepStrictEqual(scopeNode.toJSON().machines[0].states[0].leadingComments[0], {
+      value: ' <- cancel', line: 2, column: 2, start: 26, end: 37
+    })
+  })
+
+  it('should require token offsets to parse with trivia', function () {
+    const tokens = makeTokenizer().tokenize('@machine App\n  Home\n')
+
+    Assert.throws(() => makeParser({ trivia: true }).parse(tokens), /offsets/)
+    Assert.strictEqual(makeParser().parse(tokens).toJSON().start, undefined)
+  })
 })
@@ -0,0 +1,146 @@
+import * as FS from 'fs'
+import * as Path from 'path'
+import { ErrorList } from './errors'
+
+/**
+ * Reads the source text of a file or returns null if the file cannot be read.
+ *
+ * @param {string} fileName
+ * @return {string}
+ */
+const readSourceFromDisk = fileName => {
+  try {
+    return FS.readFileSync(fileName, 'utf8')
+  } catch (_) {
+    return null
+  }
+}
+
+/**
+ * Flattens an error into the list of errors it carries.
+ *
+ * @param {Error} error
+ * @return {Error[]}
+ */
+export const toErrorList = error => {
+  return error instanceof ErrorList ? error.errors.slice() : [error]
+}
+
+/**
+ * Determines if an error has a location in a wirestate file.
+ *
+ * @param {any} error
+ * @return {boolean}
+ */
+const hasLocation = error => {
+  return typeof error.fileName === 'string' && typeof error.line === 'number'
+}
+
+/**
+ * Renders the source lines surrounding a location with a caret pointing at
+ * the offending column.
+ *
+ * @param {string} text The source text
+ * @param {number} line The 1-based line number
+ * @param {number} column The 0-based column number
+ * @return {string}
+ */
+export const codeFrame = (text, line, column) => {
+  const lines = text.split(/\r?\n/)
+
+  if (line < 1 || line > lines.length) {
+    return ''
+  }
+
+  const first = Math.max(1, line - 1)
+  const last = Math.min(lines.length, line + 1)
+  const gutterWidth = String(last).length
+  const frame = []
+
+  for (let n = first; n <= last; n += 1) {
+    const gutter = String(n).padStart(gutterWidth)
+    const marker = n === line ? '>' : ' '
+    frame.push(`${marker} ${gutter} | ${lines[n - 1]}`.replace(/\s+$/, ''))
+
+    if (n === line) {
+      const padding = lines[n - 1].slice(0, column).replace(/[^\t]/g, ' ')
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${padding}^`)
+    }
+  }
+
+  return frame.join('\n')
+}
+
+/**
+ * Factory that produces a reporter that formats compilation errors.
+ *
+ * Reporters:
+ * - pretty: file:line:column, the message and a code frame of the source
+ * - json: a JSON array of { name, message, fileName, line, column } objects,
+ *   located the same way as the pretty reporter
+ *
+ * @param {Object} [options]
+ * @param {string} [options.reporterName] The name of the reporter to use
+ * @param {string} [options.srcDir] The directory wirestate file names are relative to
+ * @param {(fileName: string) => string} [options.readSource] Reads the source text of a file, resolves to null if unavailable
+ */
+export function makeReporter ({ reporterName = 'pretty', srcDir = '', readSource = readSourceFromDisk } = {}) {
+  if (reporterName !== 'pretty' && reporterName !== 'json') {
+    throw new Error(`Reporter "${reporterName}" not found`)
+  }
+
+  /**
+   * The location of an error as it's reported, the file name is relative to
+   * the current directory and the column is 1-based. Errors without a line
+   * only have a file name.
+   *
+   * @param {any} error
+   * @return {{ fileName: string, line?: number, column?: number }}
+   */
+  const locationOf = error => {
+    const fileName = Path.join(srcDir, error.fileName)
+    return error.line > 0 ? { fileName, line: error.line, column: error.column + 1 } : { fileName }
+  }
+
+  /** @param {any} error */
+  const formatPretty = error => {
+    if (!hasLocation(error)) {
+      return error.stack || `${error.name}: ${error.message}`
+    }
+
+    const { fileName, line, column } = locationOf(error)
+    const location = line > 0 ? `${fileName}:${line}:${column}` : fileName
+    const text = readSource(fileName)
+    const frame = text === null ? '' : codeFrame(text, error.line, error.column)
+
+    return [
+      `${location} - ${error.name}: ${error.message}`,
+      frame
+    ].filter(Boolean).join('\n\n')
+  }
+
+  /** @param {any} error */
+  const toJSON = error => {
+    return hasLocation(error)
+      ? Object.assign({ name: error.name, message: error.message }, locationOf(error))
+      : { name: error.name, message: error.message }
+  }
+
+  /**
+   * Formats an error, or every error of an ErrorList.
+   *
+   * @param {Error} error
+   * @return {string}
+   */
+  const report = error => {
+    const errors = toErrorList(error)
+
+    if (reporterName === 'json') {
+      return JSON.stringify(errors.map(toJSON), null, 2)
+    } else {
+      return errors.map(formatPretty).join('\n\n')
+    }
+  }
+
+  return { report }
+}
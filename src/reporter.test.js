@@ -0,0 +1,57 @@
+import * as Assert from 'assert'
+import { makeReporter, codeFrame } from './reporter'
+import { SemanticError, SyntaxError, ErrorList } from './errors'
+
+describe('a reporter', function () {
+  const sourceText = `@machine App
+  Home
+    about -> About
+  Away`
+  const readSource = fileName => fileName === 'statecharts/App.wirestate' ? sourceText : null
+
+  it('should render a code frame with a caret at the column', function () {
+    Assert.strictEqual(codeFrame(sourceText, 3, 13), [
+      '  2 |   Home',
+      '> 3 |     about -> About',
+      '    |              ^',
+      '  4 |   Away'
+    ].join('\n'))
+  })
+
+  it('should print the location, message and code frame of each error', function () {
+    const reporter = makeReporter({ srcDir: 'statecharts', readSource })
+    const error = new ErrorList([
+      new SemanticError('Transition target cannot be resolved', { fileName: 'App.wirestate', line: 3, column: 4 }),
+      new SyntaxError('Unexpected end of input', { fileName: 'Other.wirestate' })
+    ])
+
+    Assert.strictEqual(reporter.report(error), [
+      'statecharts/App.wirestate:3:5 - SemanticError: Transition target cannot be resolved',
+      '',
+      '  2 |   Home',
+      '> 3 |     about -> About',
+      '    |     ^',
+      '  4 |   Away',
+      '',
+      'statecharts/Other.wirestate - SyntaxError: Unexpected end of input'
+    ].join('\n'))
+  })
+
+  it('should print errors as JSON with the json reporter', function () {
+    const reporter = makeReporter({ reporterName: 'json', srcDir: 'statecharts', readSource })
+    const error = new ErrorList([
+      new SemanticError('Duplicate state', { fileName: 'App.wirestate', line: 2, column: 2 }),
+      new SyntaxError('Unexpected end of input', { fileName: 'Other.wirestate' })
+    ])
+
+    // Located the same way as by the pretty reporter
+    Assert.deepStrictEqual(JSON.parse(reporter.report(error)), [
+      { name: 'SemanticError', message: 'Duplicate state', fileName: 'statecharts/App.wirestate', line: 2, column: 3 },
+      { name: 'SyntaxError', message: 'Unexpected end of input', fileName: 'statecharts/Other.wirestate' }
+    ])
+  })
+
+  it('should throw if the reporter does not exist', function () {
+    Assert.throws(() => makeReporter({ reporterName: 'xml' }), /Reporter "xml" not found/)
+  })
+})
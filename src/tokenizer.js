@@ -69,7 +69,13 @@ const makeScanner = (str) => {
   }
 }
 
-export const makeTokenizer = ({ wireStateFile = '' } = {}) => {
+/**
+ * @param {Object} [options]
+ * @param {string} [options.wireStateFile]
+ * @param {boolean} [options.offsets] Flag to record the offsets of the source
+ *   text each token was read from in its start and end properties
+ */
+export const makeTokenizer = ({ wireStateFile = '', offsets = false } = {}) => {
   const commentToken = {
     canRead (scanner) { return scanner.c === '#' },
     read (scanner) {
@@ -201,7 +207,7 @@ export const makeTokenizer = ({ wireStateFile = '' } = {}) => {
   }
 
   const symbolToken = {
-    symbols: [ '->', '|' ],
+    symbols: [ '->', '|', '/' ],
     canRead (scanner) {
       return this.symbols.some(s => scanner.look(s))
     },
@@ -241,7 +247,7 @@ export const makeTokenizer = ({ wireStateFile = '' } = {}) => {
   }
 
   const operatorToken = {
-    operators: '?&*!.{},',
+    operators: '?&*!^.{},[]:=',
     canRead (scanner) { return this.operators.indexOf(scanner.c) >= 0 },
     read (scanner) {
       const c = scanner.c
@@ -338,12 +344,14 @@ export const makeTokenizer = ({ wireStateFile = '' } = {}) => {
     let tokens = []
     let line = 0
     let column = 0
+    let start = 0
     let noMatch = true
     let token = null
 
     while (scanner.c) {
       line = scanner.line
       column = scanner.column
+      start = scanner.index
       noMatch = true
 
       for (let t = 0; t < tokenReaderCount && noMatch; t += 1) {
@@ -351,6 +359,10 @@ export const makeTokenizer = ({ wireStateFile = '' } = {}) => {
           token = tokenReaders[t].read(scanner)
           token.line = line
           token.column = column
+          if (offsets) {
+            token.start = start
+            token.end = scanner.index
+          }
           tokens.push(token)
           noMatch = false
         }
@@ -13,6 +13,19 @@ describe('a tokenzier', function () {
     ])
   })
 
+  it('should not tokenize after as a keyword', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'SomeFile.wirestate' })
+    const source = 'retry after failure -> after 1s'
+    const tokens = tokenizer.tokenize(source)
+    Assert.deepStrictEqual(tokens, [
+      { type: 'identifier', value: 'retry after failure', raw: 'retry after failure', column: 0, line: 1 },
+      { type: 'whitespace', value: ' ', raw: ' ', column: 19, line: 1 },
+      { type: 'symbol', value: '->', raw: '->', column: 20, line: 1 },
+      { type: 'whitespace', value: ' ', raw: ' ', column: 22, line: 1 },
+      { type: 'identifier', value: 'after 1s', raw: 'after 1s', column: 23, line: 1 }
+    ])
+  })
+
   it('should tokenize keywords at end of source text', function () {
     const tokenizer = makeTokenizer({ wireStateFile: 'SomeFile.wirestate' })
     const source = `*as`
@@ -117,4 +130,14 @@ describe('a tokenzier', function () {
       { type: 'identifier', value: 'Away', raw: 'Away', column: 2, line: 6 }
     ])
   })
+
+  it('should record the offsets of tokens in the source text', function () {
+    const tokenizer = makeTokenizer({ wireStateFile: 'App.wirestate', offsets: true })
+    const sourceText = '@use "a\\"b" # note\r\n  Away'
+    const tokens = tokenizer.tokenize(sourceText)
+    Assert.deepStrictEqual(
+      tokens.map(t => sourceText.slice(t.start, t.end)),
+      ['@use', ' ', '"a\\"b"', ' ', '# note', '\r\n  ', 'Away']
+    )
+  })
 })
@@ -0,0 +1,165 @@
+import * as FS from 'fs'
+import * as Path from 'path'
+/* eslint-disable-next-line */
+import { CacheBase } from './cache-base'
+import { compile } from './compile'
+import { readImportGraph, collectDependencies, collectDependents } from './dependencies'
+// eslint-disable-next-line
+import { Config, resolveCompileOptions } from './config'
+
+/**
+ * Compiles one or more wirestate files and recompiles them whenever the files
+ * or any file they import change.
+ *
+ * When a file changes only that file and the files importing it are removed
+ * from the cache, so files that are unaffected by the change are not parsed
+ * again. Compilation errors are passed to `onError` and watching continues,
+ * the next successful compile is passed to `onOutput` as usual. Every file
+ * being watched is compiled with the same cache and reported separately.
+ *
+ * @example
+ * const watcher = watch('statechart/App.wirestate', {
+ *   srcDir: 'statechart',
+ *   onOutput: output => FS.writeFileSync('App.wirestate.js', output),
+ *   onError: error => console.error(error)
+ * })
+ * // Later...
+ * watcher.close()
+ * @param {string|string[]} fileNames
+ * @param {Object} [options]
+ * @param {Config} [options.config] The project config, options that are specified take precedence over it
+ * @param {string} [options.srcDir]
+ * @param {CacheBase} [options.cache]
+ * @param {string} [options.generatorName]
+ * @param {boolean} [options.disableCallbacks] Flag when generating XState to disable callback mapping
+ * @param {boolean} [options.timestamp] Flag when generating XState to stamp the date of the generation in the module
+ * @param {boolean} [options.collapseUses] Flag when generating DOT to draw embedded machines as a single state
+ * @param {number} [options.interval] How often, in milliseconds, files are polled for changes
+ * @param {(output: string, fileName: string) => any} [options.onOutput] Called with the generated output of every compile
+ * @param {(error: Error, fileName: string) => any} [options.onError] Called with the error of every failed compile
+ * @param {boolean} [options.strict] Flag to report transitions for events that aren't declared as warnings
+ * @param {(warning: Error) => any} [options.onWarning] Called with every warning found while analyzing
+ * @return {{ close: () => void, ready: Promise<void> }}
+ */
+export function watch (fileNames, {
+  config = undefined,
+  srcDir = undefined,
+  cache = undefined,
+  generatorName = undefined,
+  interval = 250,
+  onOutput = () => {},
+  onError = () => {},
+  ...generatorOptions
+} = {}) {
+  fileNames = [].concat(fileNames)
+
+  // Every compile has to share the same cache
+  const compileOptions = resolveCompileOptions({ config, srcDir, cache })
+  srcDir = compileOptions.srcDir
+  cache = compileOptions.cache
+
+  const wireStateFiles = fileNames.map(fileName => {
+    const wireStateFile = Path.relative(Path.resolve(srcDir), Path.resolve(fileName))
+
+    // Ensure the file we're watching has an extension,
+    // by default it's the .wirestate extension
+    return Path.extname(wireStateFile)
+      ? wireStateFile
+      : `${wireStateFile}.wirestate`
+  })
+
+  // The import graph of the last compile. Files that failed to load keep the
+  // imports they had when they last loaded so their imports are still watched.
+  /** @type {Map<string, string[]>} */
+  let graph = new Map()
+  // Files that failed to load in the last compile, these are always retried
+  /** @type {string[]} */
+  let failedFiles = []
+  /** @type {Map<string, (curr: FS.Stats, prev: FS.Stats) => void>} */
+  const listeners = new Map()
+  /** @type {Set<string>} */
+  const changedFiles = new Set()
+  let closed = false
+  let timeout = null
+  let queue = Promise.resolve()
+
+  const build = async () => {
+    const results = []
+
+    for (const fileName of fileNames) {
+      try {
+        const output = await compile(fileName, Object.assign({ config, srcDir, cache, generatorName }, generatorOptions))
+        results.push({ fileName, output, error: null })
+      } catch (error) {
+        results.push({ fileName, output: null, error })
+      }
+    }
+
+    // Start watching any newly imported files before reporting the result
+    const loadedGraph = await readImportGraph(cache)
+    failedFiles = cache.keys.filter(file => !loadedGraph.has(file))
+    graph = new Map([...graph, ...loadedGraph])
+    updateListeners()
+
+    results.forEach(({ fileName, output, error }) => {
+      if (closed) return
+      error ? onError(error, fileName) : onOutput(output, fileName)
+    })
+  }
+
+  const rebuild = async () => {
+    const files = [...changedFiles]
+    changedFiles.clear()
+
+    await Promise.all(
+      collectDependents(graph, files.concat(failedFiles)).map(wireStateFile => {
+        return cache.delete(wireStateFile)
+      })
+    )
+
+    await build()
+  }
+
+  const updateListeners = () => {
+    if (closed) return
+
+    const watchedFiles = collectDependencies(graph, wireStateFiles.concat(failedFiles))
+
+    for (const [file, listener] of listeners) {
+      if (!watchedFiles.includes(file)) {
+        FS.unwatchFile(Path.resolve(srcDir, file), listener)
+        listeners.delete(file)
+      }
+    }
+
+    watchedFiles.filter(file => !listeners.has(file)).forEach(file => {
+      const listener = (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+          changedFiles.add(file)
+          // Wait a moment so that files saved together are rebuilt together
+          clearTimeout(timeout)
+          timeout = setTimeout(() => {
+            queue = queue.then(rebuild)
+          }, 50)
+        }
+      }
+
+      FS.watchFile(Path.resolve(srcDir, file), { interval }, listener)
+      listeners.set(file, listener)
+    })
+  }
+
+  queue = queue.then(build)
+
+  return {
+    ready: queue,
+    close () {
+      closed = true
+      clearTimeout(timeout)
+      for (const [file, listener] of listeners) {
+        FS.unwatchFile(Path.resolve(srcDir, file), listener)
+      }
+      listeners.clear()
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import * as Assert from 'assert'
+import * as FS from 'fs'
+import * as OS from 'os'
+import * as Path from 'path'
+import { watch } from './watch'
+import { MemoryCache } from './memory-cache'
+
+describe('a watcher', function () {
+  this.timeout(10000)
+
+  let srcDir = ''
+  let watcher = null
+
+  beforeEach(function () {
+    srcDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'wirestate-'))
+  })
+
+  afterEach(function () {
+    if (watcher) watcher.close()
+    watcher = null
+    FS.readdirSync(srcDir).forEach(file => FS.unlinkSync(Path.join(srcDir, file)))
+    FS.rmdirSync(srcDir)
+  })
+
+  it('should recompile changed files and the files importing them only', async function () {
+    FS.writeFileSync(Path.join(srcDir, 'App.wirestate'), `@import { Auth } from './Auth'
+@import { Other } from './Other'
+
+@machine App
+  Use Auth
+    @use Auth
+`)
+    FS.writeFileSync(Path.join(srcDir, 'Auth.wirestate'), `@machine Auth
+  Waiting
+`)
+    FS.writeFileSync(Path.join(srcDir, 'Other.wirestate'), `@machine Other
+  Idle
+`)
+
+    const cache = new MemoryCache()
+    const events = []
+    let notify = () => {}
+    const nextEvent = () => new Promise(resolve => { notify = resolve })
+    // Give the watcher a few polls to stat the files before they're changed,
+    // otherwise a change can be mistaken for the initial state of the file
+    const settle = () => new Promise(resolve => setTimeout(resolve, 100))
+    const onEvent = event => {
+      events.push(event)
+      notify()
+    }
+
+    let event = nextEvent()
+    watcher = watch(Path.join(srcDir, 'App.wirestate'), {
+      srcDir,
+      cache,
+      interval: 20,
+      onOutput: output => onEvent({ output }),
+      onError: error => onEvent({ error })
+    })
+    await event
+
+    Assert.ok(events[0].output.includes('"Waiting"'))
+    const otherScopeNode = await cache.get('Other.wirestate')
+
+    // Introduce an error
+    await settle()
+    event = nextEvent()
+    FS.writeFileSync(Path.join(srcDir, 'Auth.wirestate'), `@machine Auth
+  Waiting
+    login -> Nowhere
+`)
+    await event
+    Assert.ok(/Transition target cannot be resolved/.test(events[1].error.message))
+
+    // Fix the error
+    await settle()
+    event = nextEvent()
+    FS.writeFileSync(Path.join(srcDir, 'Auth.wirestate'), `@machine Auth
+  Waiting
+    login -> Authenticating
+  Authenticating
+`)
+    await event
+    Assert.ok(events[2].output.includes('"Authenticating"'))
+    Assert.strictEqual(await cache.get('Other.wirestate'), otherScopeNode, 'Unaffected import was parsed again')
+  })
+})